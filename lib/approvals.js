@@ -0,0 +1,46 @@
+// Approval rules for expenses and settlements under a group's approval policy.
+// policy: { mode, count?, amount? } as stored on the group.
+
+const APPROVAL_MODES = ['majority', 'unanimous', 'creator', 'fixed', 'auto-below'];
+
+// Strict majority (>50%) of memberCount
+function approvalThreshold(memberCount) {
+  return Math.floor(memberCount / 2) + 1;
+}
+
+// Approvals an expense needs under a policy ('creator' mode is handled separately)
+function requiredApprovals(policy, memberCount, amount) {
+  const mode = (policy && policy.mode) || 'majority';
+  if (mode === 'unanimous') return memberCount;
+  if (mode === 'fixed') return Math.min(policy.count, memberCount);
+  if (mode === 'auto-below' && amount < policy.amount) return 0;
+  return approvalThreshold(memberCount);
+}
+
+// Re-derives approved/rejected from the vote lists under the group's policy, counting
+// against the member count frozen on the expense. An expense is rejected once a majority
+// objects or approval can no longer be reached; a rejected expense is never approved.
+function refreshApprovalState(expense, group) {
+  const policy = group.approvalPolicy || {};
+  const memberCount = expense.memberCount || group.members.length;
+  const approvals = expense.approvals.map(String);
+  const rejections = expense.rejections.map(String);
+
+  if (policy.mode === 'creator') {
+    expense.rejected = rejections.includes(String(group.creator));
+    expense.approved = !expense.rejected && approvals.includes(String(group.creator));
+    return;
+  }
+
+  const required = requiredApprovals(policy, memberCount, expense.amount);
+  const rejectAt = Math.min(memberCount - required + 1, approvalThreshold(memberCount));
+  expense.rejected = rejections.length >= rejectAt;
+  expense.approved = !expense.rejected && approvals.length >= required;
+}
+
+module.exports = {
+  APPROVAL_MODES,
+  approvalThreshold,
+  requiredApprovals,
+  refreshApprovalState
+};
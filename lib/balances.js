@@ -0,0 +1,83 @@
+// Balance helpers: who owes what in a group and the transfers that settle it.
+// Amounts are integer minor units of the group's base currency (see lib/money.js).
+
+const { apportion } = require('./money');
+
+// Id of a populated document or a plain ObjectId / string
+const idOf = ref => String(ref && ref._id ? ref._id : ref);
+
+// Everyone who can hold a balance in a group: its members plus erased former members
+const ledgerMembers = group => [...group.members, ...(group.formerMembers || [])];
+
+// Who owes what on an expense. Expenses without splits predate split modes and are
+// shared equally by all current members; scripts/migrate-minor-units.js pins them down.
+function effectiveSplits(expense, members) {
+  if (expense.splits && expense.splits.length) return expense.splits;
+  const users = members.map(idOf);
+  const parts = apportion(expense.amount, users.map(() => 1), users);
+  return members.map((m, i) => ({ user: m, amount: parts[i] }));
+}
+
+// Net position per member (positive = is owed, negative = owes) from approved expenses
+// and settlements. The payer fronts the full amount; each participant owes their split.
+function computeBalances(members, expenses, settlements = []) {
+  const net = {};
+  members.forEach(m => { net[idOf(m)] = 0; });
+
+  expenses.forEach(expense => {
+    if (!expense.approved) return;
+    const splits = effectiveSplits(expense, members);
+    if (!splits.length) return;
+
+    const payer = idOf(expense.paidBy || expense.addedBy);
+    net[payer] = (net[payer] || 0) + expense.amount;
+    splits.forEach(split => {
+      const id = idOf(split.user);
+      net[id] = (net[id] || 0) - split.amount;
+    });
+  });
+
+  settlements.forEach(settlement => {
+    if (!settlement.approved) return;
+    const from = idOf(settlement.from);
+    const to = idOf(settlement.to);
+    net[from] = (net[from] || 0) + settlement.amount;
+    net[to] = (net[to] || 0) - settlement.amount;
+  });
+
+  return net;
+}
+
+// Greedy settle-up: repeatedly match the largest debtor with the largest creditor.
+// Produces at most N-1 transfers for N members with a non-zero balance.
+function simplifyDebts(net) {
+  const creditors = [];
+  const debtors = [];
+  Object.entries(net).forEach(([userId, amount]) => {
+    if (amount > 0) creditors.push({ userId, amount });
+    else if (amount < 0) debtors.push({ userId, amount: -amount });
+  });
+  creditors.sort((a, b) => b.amount - a.amount);
+  debtors.sort((a, b) => b.amount - a.amount);
+
+  const transfers = [];
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const amount = Math.min(creditors[c].amount, debtors[d].amount);
+    transfers.push({ from: debtors[d].userId, to: creditors[c].userId, amount });
+    creditors[c].amount -= amount;
+    debtors[d].amount -= amount;
+    if (!creditors[c].amount) c++;
+    if (!debtors[d].amount) d++;
+  }
+  return transfers;
+}
+
+module.exports = {
+  idOf,
+  ledgerMembers,
+  effectiveSplits,
+  computeBalances,
+  simplifyDebts
+};
@@ -0,0 +1,155 @@
+// Ledger export and import helpers: CSV encoding and parsers for Splitwise CSV exports and
+// our own JSON export. Parsers only read the input; matching people and saving is server.js's job.
+
+const { toMinor } = require('./money');
+
+// One CSV line, quoting fields that need it
+function csvRow(values) {
+  return values.map(v => {
+    const text = v === undefined || v === null ? '' : String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+// RFC 4180-ish parser: quoted fields, doubled quotes, CRLF or LF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Both import parsers return { people: [{ key, id?, name }], items, rejected: [{ row, reason }] }.
+// items are expenses { row, date, description, category?, categoryHint?, amount, currency, paidBy, addedBy?, splitType,
+// splits: [{ user, value }], approvals?, approved } or settlements { type: 'settlement', row,
+// date, description, amount, currency, from, to }, with people referenced by key.
+
+// Splitwise: Date,Description,Category,Cost,Currency,<one column per person>. Each person
+// column is their net effect (paid minus owed); "Payment" rows are settlements. Amounts are
+// decimals and get converted to minor units of the row's currency (default: defaultCurrency).
+function parseSplitwiseCsv(text, defaultCurrency) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const header = rows[0] || [];
+  const people = header.slice(5).filter(Boolean).map(name => ({ key: name, name }));
+  const items = [];
+  const rejected = [];
+
+  rows.slice(1).forEach((cols, i) => {
+    const row = i + 2; // 1-based, counting the header
+    if (!cols.some(c => c.trim())) return;
+    const [dateText, description, category, costText, currencyText] = cols;
+    if (/total balance/i.test(description || '')) return;
+
+    const currency = (currencyText || defaultCurrency).trim().toUpperCase();
+    const date = new Date(dateText);
+    const cost = toMinor(costText, currency);
+    const nets = people.map((p, j) => ({ key: p.key, net: toMinor(cols[5 + j] || 0, currency) }));
+    if (isNaN(date)) return rejected.push({ row, reason: `Invalid date "${dateText}"` });
+    if (!(cost > 0)) return rejected.push({ row, reason: `Invalid cost "${costText}"` });
+    if (nets.some(n => isNaN(n.net))) return rejected.push({ row, reason: 'Non-numeric member column' });
+    // Splitwise rounds each column, so allow one minor unit of drift per person
+    if (Math.abs(nets.reduce((a, n) => a + n.net, 0)) > people.length) {
+      return rejected.push({ row, reason: 'Member columns do not balance' });
+    }
+
+    const payers = nets.filter(n => n.net > 0);
+    if (payers.length !== 1) {
+      return rejected.push({ row, reason: 'Rows must have exactly one payer' });
+    }
+    const payer = payers[0];
+
+    if (/^payment$/i.test(category || '')) {
+      const receivers = nets.filter(n => n.net < 0);
+      if (receivers.length !== 1) return rejected.push({ row, reason: 'Payments must have exactly one receiver' });
+      return items.push({
+        type: 'settlement', row, date, description, amount: payer.net, currency, from: payer.key, to: receivers[0].key
+      });
+    }
+
+    // Everyone else owes -net; the payer owes the rest of the cost, which absorbs any drift
+    const splits = nets.filter(n => n.key !== payer.key && n.net < 0).map(n => ({ user: n.key, value: -n.net }));
+    const payerShare = cost - splits.reduce((a, s) => a + s.value, 0);
+    if (payerShare < 0) return rejected.push({ row, reason: 'Member columns exceed the cost' });
+    if (payerShare > 0) splits.unshift({ user: payer.key, value: payerShare });
+    items.push({
+      row, date, description, categoryHint: category, amount: cost, currency, paidBy: payer.key,
+      splitType: 'exact', splits, approved: true
+    });
+  });
+
+  return { people, items, rejected };
+}
+
+// Our own JSON export. Split amounts are in the exporting group's base currency, so they are
+// re-applied as share weights on the original amount. Version 1 exports have decimal amounts.
+function parseSpliteaseExport(data) {
+  const baseCurrency = (data.group && data.group.baseCurrency) || 'INR';
+  const amountOf = e => (data.version >= 2
+    ? Number(e.originalAmount ?? e.amount)
+    : toMinor(e.originalAmount ?? e.amount, e.currency || baseCurrency));
+  const people = (data.members || []).map(m => ({ key: String(m.id), id: m.id, name: m.displayName || m.deviceName || String(m.id) }));
+  const known = new Set(people.map(p => p.key));
+  const items = [];
+  const rejected = [];
+
+  (data.expenses || []).forEach((e, i) => {
+    const row = i + 1;
+    const date = new Date(e.createdAt);
+    const refs = [e.paidBy, ...(e.splits || []).map(s => s.user)].map(String);
+    if (isNaN(date)) return rejected.push({ row, reason: 'Invalid createdAt' });
+    if (!(amountOf(e) > 0)) return rejected.push({ row, reason: 'Invalid amount' });
+    if (!e.splits || !e.splits.length) return rejected.push({ row, reason: 'Missing splits' });
+    if (refs.some(id => !known.has(id))) return rejected.push({ row, reason: 'References a user missing from members' });
+
+    items.push({
+      row,
+      date,
+      description: e.description || '',
+      category: e.category,
+      amount: amountOf(e),
+      currency: e.currency,
+      paidBy: String(e.paidBy),
+      addedBy: e.addedBy && String(e.addedBy),
+      splitType: 'shares',
+      splits: e.splits.map(s => ({ user: String(s.user), value: s.amount })),
+      approvals: (e.approvals || []).map(String),
+      approved: Boolean(e.approved)
+    });
+  });
+
+  return { people, items, rejected };
+}
+
+module.exports = {
+  csvRow,
+  parseCsv,
+  parseSplitwiseCsv,
+  parseSpliteaseExport
+};
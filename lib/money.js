@@ -0,0 +1,97 @@
+// Money helpers shared by server.js and scripts/migrate-minor-units.js.
+// Every amount is an integer in the minor unit of its currency (paise, cents; yen have none),
+// in the API as well as in the database. scripts/migrate-minor-units.js converts older data.
+
+// ISO 4217 digits where they differ from the usual 2:
+const CURRENCY_DIGITS = {
+  BHD: 3, CLP: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, TND: 3, UGX: 0, VND: 0, XAF: 0, XOF: 0
+};
+
+const minorDigits = currency => CURRENCY_DIGITS[String(currency).toUpperCase()] ?? 2;
+
+const idOf = ref => String(ref && ref._id ? ref._id : ref);
+
+// Decimal amount in major units ("12.50") -> minor units (1250)
+function toMinor(value, currency) {
+  return Math.round(Number(value) * 10 ** minorDigits(currency));
+}
+
+// Minor units -> decimal string for people (CSV export)
+function formatMinor(amount, currency) {
+  const digits = minorDigits(currency);
+  return (amount / 10 ** digits).toFixed(digits);
+}
+
+// Converts minor units of `from` into minor units of `to` at a rate per major unit
+function convertMinor(amount, rate, from, to) {
+  return Math.round(amount * rate * 10 ** (minorDigits(to) - minorDigits(from)));
+}
+
+// Splits an integer total in proportion to weights using largest remainders. Units left over
+// after rounding down go to the largest fractions, ties to the lowest user id, so the result
+// is repeatable and doesn't depend on the order participants were sent in.
+function apportion(total, weights, users) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  if (!sum) return weights.map(() => 0);
+  const exact = weights.map(w => total * w / sum);
+  const parts = exact.map(x => Math.floor(x + 1e-9));
+  const order = users.map((u, i) => i).sort((a, b) =>
+    (exact[b] - parts[b]) - (exact[a] - parts[a]) || (users[a] < users[b] ? -1 : users[a] > users[b] ? 1 : 0));
+  let left = total - parts.reduce((a, b) => a + b, 0);
+  for (let i = 0; left > 0; i = (i + 1) % order.length, left--) parts[order[i]]++;
+  return parts;
+}
+
+// entries: [{ user, value }] where value is ignored for 'equal', an amount for 'exact',
+// a percentage for 'percentage' and a weight for 'shares'. total is in minor units of the
+// base currency; exact amounts are minor units of the expense currency and must add up to
+// enteredTotal (the amount as entered). Every split type is apportioned, so the parts always
+// sum to total without stray units.
+// Returns { splits } or { error } when the parts don't add up.
+function buildSplits(splitType, total, entries, enteredTotal = total) {
+  if (!entries.length) return { error: 'At least one participant required' };
+
+  const users = entries.map(e => idOf(e.user));
+  if (new Set(users).size !== users.length) return { error: 'Duplicate participant in split' };
+
+  let weights;
+  if (splitType === 'equal') {
+    weights = entries.map(() => 1);
+  } else {
+    weights = entries.map(e => Number(e.value));
+    if (weights.some(v => !Number.isFinite(v) || v < 0)) {
+      return { error: 'Split values must be non-negative numbers' };
+    }
+    const sum = weights.reduce((a, b) => a + b, 0);
+
+    if (splitType === 'exact') {
+      if (!weights.every(Number.isInteger)) return { error: 'Exact amounts must be whole minor units' };
+      if (sum !== enteredTotal) return { error: `Exact amounts add up to ${sum}, expected ${enteredTotal}` };
+    } else if (splitType === 'percentage') {
+      if (Math.abs(sum - 100) > 1e-6) return { error: `Percentages add up to ${sum}, expected 100` };
+    } else if (splitType === 'shares') {
+      if (sum <= 0) return { error: 'Total shares must be greater than 0' };
+    } else {
+      return { error: `Unknown splitType ${splitType}` };
+    }
+  }
+
+  const amounts = apportion(total, weights, users);
+  return {
+    splits: entries.map((e, i) => ({
+      user: users[i],
+      value: splitType === 'equal' ? undefined : Number(e.value),
+      amount: amounts[i]
+    }))
+  };
+}
+
+module.exports = {
+  CURRENCY_DIGITS,
+  minorDigits,
+  toMinor,
+  formatMinor,
+  convertMinor,
+  apportion,
+  buildSplits
+};
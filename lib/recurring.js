@@ -0,0 +1,41 @@
+// Schedule maths for recurring expenses. Dates are computed in UTC except cron schedules,
+// which run in the definition's time zone.
+
+const cronParser = require('cron-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Adds months to a date, clamping to the month end (Jan 31 + 1 month = Feb 28/29)
+function addMonths(date, months, day) {
+  const d = new Date(date);
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+// Next due date strictly after `after`
+function nextOccurrence(recurring, after) {
+  const { cadence, interval } = recurring;
+  if (cadence === 'cron') {
+    return cronParser.parseExpression(recurring.cron, { currentDate: after, tz: recurring.timezone }).next().toDate();
+  }
+  if (cadence === 'daily') return new Date(after.getTime() + interval * DAY_MS);
+  if (cadence === 'weekly') return new Date(after.getTime() + interval * 7 * DAY_MS);
+  // Monthly runs stay on the start date's day of month
+  return addMonths(after, interval, recurring.startDate.getUTCDate());
+}
+
+// First due date: the start date, or the first cron match from it
+function firstOccurrence(recurring) {
+  if (recurring.cadence !== 'cron') return recurring.startDate;
+  return nextOccurrence(recurring, new Date(recurring.startDate.getTime() - 1));
+}
+
+module.exports = {
+  DAY_MS,
+  addMonths,
+  nextOccurrence,
+  firstOccurrence
+};
@@ -0,0 +1,37 @@
+// Reminder timing: notification time zones and quiet hours, which are local "HH:MM" times
+// and may wrap midnight (22:00-07:00).
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const minutesOf = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+// When a reminder to this user may go out: now, or the end of their quiet hours
+function nextSendTime(user, now = new Date()) {
+  const prefs = user.notifications || {};
+  const quiet = prefs.quietHours;
+  if (!quiet || !quiet.start || !quiet.end || quiet.start === quiet.end) return now;
+
+  const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+    timeZone: prefs.timezone || 'UTC', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(now).split(':').map(Number);
+  const current = hour * 60 + minute;
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  const inQuiet = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inQuiet) return now;
+
+  const wait = (end - current + 24 * 60) % (24 * 60);
+  return new Date(now.getTime() + wait * 60 * 1000);
+}
+
+module.exports = {
+  isTimeZone,
+  nextSendTime
+};
@@ -0,0 +1,105 @@
+// Converts stored money from decimal major units (12.5) to integer minor units (1250) for
+// expenses, settlements, recurring expenses and auto-approve thresholds. Split amounts are
+// re-apportioned so they still add up to the converted total. Expenses from before split modes
+// have no splits and were shared by whoever is a member right now; they get equal splits over
+// the current members, so later joins and departures no longer re-share them. Documents are
+// marked with minorUnits: true, so the script can be re-run safely. Run it while the server is stopped.
+// Usage: node scripts/migrate-minor-units.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { toMinor, apportion } = require('../lib/money');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const legacy = { minorUnits: { $ne: true } };
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection;
+  const groups = db.collection('groups');
+  const baseCurrency = new Map();
+  const members = new Map();
+  for await (const group of groups.find({}, { projection: { baseCurrency: 1, members: 1 } })) {
+    baseCurrency.set(String(group._id), (group.baseCurrency || 'INR').toUpperCase());
+    members.set(String(group._id), group.members || []);
+  }
+  const baseOf = doc => baseCurrency.get(String(doc.groupId)) || 'INR';
+  const counts = { groups: 0, expenses: 0, settlements: 0, recurring: 0, unsplit: 0 };
+
+  // Equal splits over the group's current members, as the server used to compute on the fly
+  const equalSplits = (groupId, amount) => {
+    const users = members.get(String(groupId)) || [];
+    const parts = apportion(amount, users.map(() => 1), users.map(String));
+    return users.map((user, i) => ({ user, amount: parts[i] }));
+  };
+
+  async function convert(collection, key, toSet) {
+    for await (const doc of db.collection(collection).find(legacy)) {
+      counts[key]++;
+      if (!dryRun) await db.collection(collection).updateOne({ _id: doc._id }, { $set: { ...toSet(doc), minorUnits: true } });
+    }
+  }
+
+  await convert('groups', 'groups', group => {
+    const amount = group.approvalPolicy && group.approvalPolicy.amount;
+    return amount !== undefined && amount !== null
+      ? { 'approvalPolicy.amount': toMinor(amount, baseOf({ groupId: group._id })) }
+      : {};
+  });
+
+  await convert('expenses', 'expenses', expense => {
+    const base = baseOf(expense);
+    const currency = expense.currency || base;
+    const amount = toMinor(expense.amount, base);
+    const originalAmount = toMinor(expense.originalAmount ?? expense.amount, currency);
+    const splits = expense.splits || [];
+    if (!splits.length) {
+      counts.unsplit++;
+      return { amount, originalAmount, splitType: 'equal', splits: equalSplits(expense.groupId, amount) };
+    }
+    const users = splits.map(s => String(s.user));
+    const owed = apportion(amount, splits.map(s => s.amount), users);
+    const values = expense.splitType === 'exact'
+      ? apportion(originalAmount, splits.map(s => s.value), users)
+      : splits.map(s => s.value);
+    return {
+      amount,
+      originalAmount,
+      splits: splits.map((s, i) => ({ ...s, value: values[i], amount: owed[i] }))
+    };
+  });
+
+  // Expenses converted by an earlier run of this script that still have no splits
+  const unsplit = { minorUnits: true, $or: [{ splits: { $exists: false } }, { splits: { $size: 0 } }] };
+  for await (const expense of db.collection('expenses').find(unsplit)) {
+    counts.unsplit++;
+    if (!dryRun) {
+      await db.collection('expenses').updateOne({ _id: expense._id }, {
+        $set: { splitType: 'equal', splits: equalSplits(expense.groupId, expense.amount) }
+      });
+    }
+  }
+
+  await convert('settlements', 'settlements', settlement => ({ amount: toMinor(settlement.amount, baseOf(settlement)) }));
+
+  await convert('recurringexpenses', 'recurring', recurring => {
+    const currency = recurring.currency || baseOf(recurring);
+    const amount = toMinor(recurring.amount, currency);
+    const splits = recurring.splits || [];
+    const values = recurring.splitType === 'exact'
+      ? apportion(amount, splits.map(s => s.value), splits.map(s => String(s.user)))
+      : splits.map(s => s.value);
+    return { amount, splits: splits.map((s, i) => ({ ...s, value: values[i] })) };
+  });
+
+  console.log(`${dryRun ? '[dry run] ' : ''}converted ${counts.groups} groups, ${counts.expenses} expenses, `
+    + `${counts.settlements} settlements, ${counts.recurring} recurring expenses; `
+    + `fixed the participants of ${counts.unsplit} unsplit expenses`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Migration failed', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
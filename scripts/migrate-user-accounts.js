@@ -0,0 +1,45 @@
+// Converts single-device users ({ androidId, deviceName, groupId }) into accounts with
+// { displayName, devices: [...] } and drops the old unique androidId index, which would
+// otherwise reject every new account after the first.
+// Usage: node scripts/migrate-user-accounts.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = mongoose.connection.collection('users');
+
+  const legacy = users.find({ androidId: { $exists: true }, devices: { $exists: false } });
+  let converted = 0;
+  for await (const user of legacy) {
+    converted++;
+    if (dryRun) continue;
+    await users.updateOne({ _id: user._id }, {
+      $set: {
+        displayName: user.deviceName || 'New user',
+        devices: [{
+          androidId: user.androidId,
+          deviceName: user.deviceName,
+          linkedAt: user.createdAt || new Date(),
+          lastSeenAt: user.createdAt || new Date()
+        }]
+      },
+      $unset: { androidId: 1, deviceName: 1, groupId: 1 }
+    });
+  }
+
+  const indexes = await users.indexes();
+  const hasLegacyIndex = indexes.some(i => i.name === 'androidId_1');
+  if (hasLegacyIndex && !dryRun) await users.dropIndex('androidId_1');
+
+  console.log(`${dryRun ? '[dry run] ' : ''}converted ${converted} users${hasLegacyIndex ? ', dropped androidId_1 index' : ''}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Migration failed', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
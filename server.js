@@ -1,57 +1,522 @@
 require('dotenv').config();
 const express = require('express');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const PDFDocument = require('pdfkit');
+const { z } = require('zod');
+const { Agent, fetch } = require('undici');
+const { toMinor, formatMinor, convertMinor, apportion, buildSplits } = require('./lib/money');
+const { APPROVAL_MODES, approvalThreshold, requiredApprovals, refreshApprovalState } = require('./lib/approvals');
+const { csvRow, parseSplitwiseCsv, parseSpliteaseExport } = require('./lib/ledger');
+const { DAY_MS, nextOccurrence, firstOccurrence } = require('./lib/recurring');
+const { isTimeZone, nextSendTime } = require('./lib/reminders');
+const { idOf, ledgerMembers, effectiveSplits, computeBalances, simplifyDebts } = require('./lib/balances');
+const { Server } = require('socket.io');
+
+/** --- Logging --- **/
+// One JSON object per line: stdout for debug/info, stderr for warn/error. Values under keys
+// that can hold secrets or personal data are masked at any depth, so whole documents and
+// request bodies can't leak into the logs.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+const REDACTED_KEYS = /token|secret|password|authorization|cookie|admin-?key|android_?id|device_?name|display_?name|email|phone|pairing_?code/i;
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (value._bsontype === 'ObjectId') return String(value);
+  if (depth > 5) return '[truncated]';
+  if (typeof value.toObject === 'function') value = value.toObject();
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key, REDACTED_KEYS.test(key) ? '[redacted]' : redact(v, depth + 1)
+  ]));
+}
+
+// logger.info(msg, fields?); logger.child({ requestId }) adds fields to every line
+function createLogger(context = {}) {
+  const write = level => (msg, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVEL) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...redact({ ...context, ...fields }) });
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: fields => createLogger({ ...context, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+/** --- Metrics --- **/
+// In-process Prometheus metrics, rendered as text format by GET /metrics
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = labels => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+function createCounter(name, help) {
+  const series = new Map();
+  return {
+    inc(labels = {}, by = 1) {
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines.join('\n');
+    }
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+}
+
+const metrics = {
+  httpDuration: createHistogram('http_request_duration_seconds', 'HTTP request latency by route', LATENCY_BUCKETS),
+  expensesCreated: createCounter('splitease_expenses_created_total', 'Expenses added, including recurring runs and imports'),
+  expenseApprovals: createCounter('splitease_expense_approvals_total', 'Approval votes cast on expenses'),
+  expensesApproved: createCounter('splitease_expenses_approved_total', 'Expenses that reached their approval threshold')
+};
+
+// Activity types that bump a counter; see recordActivity()
+const ACTIVITY_METRICS = {
+  'expense.added': metrics.expensesCreated,
+  'expense.approval': metrics.expenseApprovals,
+  'expense.approved': metrics.expensesApproved
+};
+
+// Health checks and scrapes are timed but not logged
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Gives each request an id (the caller's X-Request-Id when it looks sane, else a new one),
+// echoes it back, and logs and times the request once the response is sent. Only the route
+// pattern is logged, never the path, so ids in URLs stay out of the logs.
+function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    if (!QUIET_PATHS.includes(req.path)) {
+      req.log.info('request', { method: req.method, route, status: res.statusCode, durationMs: Math.round(seconds * 1000) });
+    }
+  });
+  next();
+}
 
 const app = express();
+app.use(requestContext);
 app.use(cors({ origin: '*' }));
+// Ledger imports (SplitEase JSON exports) are much larger than any other request body
+const IMPORT_BODY_LIMIT = '5mb';
+app.use('/groups/:id/import', express.json({ limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 
+// HTTP server shared by REST + socket.io
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: { origin: '*' }
+});
+
 /** --- MongoDB / Mongoose setup --- **/
 mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => console.log('✅ MongoDB connected'))
-  .catch(err => console.error('❌ MongoDB connection error', err));
+}).then(() => logger.info('MongoDB connected'))
+  .catch(err => {
+    // Mongoose doesn't retry a failed initial connect; exit so the supervisor restarts us
+    logger.error('MongoDB connection error', { err });
+    process.exit(1);
+  });
+mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
 
 /** --- Schemas --- **/
+// A phone signed in to an account
+const DeviceSchema = new mongoose.Schema({
+  androidId: { type: String, required: true },
+  deviceName: String,
+  linkedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A person. Group membership lives in Group.members, so one account can be in many groups.
 const UserSchema = new mongoose.Schema({
-  androidId: { type: String, unique: true, required: true },
-  deviceName: { type: String, required: true },
-  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+  displayName: { type: String, required: true, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  devices: [DeviceSchema],
+  pairingCode: String, // one-time code for linking another device
+  pairingCodeExpiresAt: Date,
+  tokenVersion: { type: Number, default: 0 }, // bump to revoke outstanding refresh tokens
+  // Reminder preferences; quiet hours are local "HH:MM" times in `timezone` and may wrap midnight
+  notifications: {
+    optOut: { type: Boolean, default: false }, // no nudges or digests at all
+    digest: { type: Boolean, default: true }, // weekly digest of pending approvals and balances
+    quietHours: { start: String, end: String },
+    timezone: { type: String, default: 'UTC' },
+    lastDigestAt: Date
+  },
+  erasedAt: Date, // set by DELETE /users/:id; the account stays as an anonymous ledger entry
   createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+UserSchema.index({ 'devices.androidId': 1 }, { unique: true, partialFilterExpression: { 'devices.androidId': { $exists: true } } });
+UserSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+UserSchema.index({ pairingCode: 1 }, { unique: true, partialFilterExpression: { pairingCode: { $type: 'string' } } });
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.pairingCode;
+    delete ret.pairingCodeExpiresAt;
+    delete ret.tokenVersion;
+    return ret;
+  }
 });
 
 const GroupSchema = new mongoose.Schema({
   name: { type: String, required: true },
   creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   joinCode: { type: String, unique: true, index: true },
+  joinCodeExpiresAt: Date, // unset = never expires
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // subset of members; creator is implicit
   joinRequests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Who left or was removed and when, so /sync can tell their devices to drop the group
+  // Erased accounts that still had money open here. They aren't members (no votes, not counted
+  // for approvals), but balances keep them so the ledger still adds up for everyone else.
+  formerMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  departedMembers: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  // Open votes to remove a member, cast by non-admin members
+  removalVotes: [{
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    votes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  }],
+  baseCurrency: { type: String, uppercase: true, default: 'INR' },
+  // Group-specific categories on top of BUILT_IN_CATEGORIES
+  categories: [{
+    _id: false,
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    keywords: [String]
+  }],
+  // How expenses get approved; see requiredApprovals() in lib/approvals.js
+  approvalPolicy: {
+    mode: { type: String, enum: APPROVAL_MODES, default: 'majority' },
+    count: Number, // 'fixed': approvals needed
+    amount: Number // 'auto-below': expenses under this base-currency amount approve themselves
+  },
+  minorUnits: Boolean, // set on creation: amounts are integer minor units; see scripts/migrate-minor-units.js
+  // Archived groups are read-only and left out of GET /groups unless asked for
+  archivedAt: Date,
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Deleted groups act as missing; the creator can restore them for GROUP_RESTORE_DAYS, then they're purged
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+GroupSchema.index({ deletedAt: 1 }, { sparse: true });
+
+const SplitSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  value: Number, // raw input: exact amount (expense currency), percentage or share weight
+  amount: { type: Number, required: true } // owed by this participant, base currency
+}, { _id: false });
+
+// Audit trail entry on an expense
+const HistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      'created', 'edited', 'approved', 'unapproved', 'rejected', 'unrejected', 'deleted',
+      'receipt-added', 'receipt-removed'
+    ],
+    required: true
+  },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  at: { type: Date, default: Date.now },
+  changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }]
+}, { _id: false });
+
+// Uploaded proof for an expense; the file itself lives in receiptStorage under `key`
+const ReceiptSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  filename: String,
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  uploadedAt: { type: Date, default: Date.now }
 });
+
 const ExpenseSchema = new mongoose.Schema({
   groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
   addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  clientId: String, // id generated offline by the app; a retry with the same id returns the stored expense
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  description: String,
+  category: { type: String, default: 'other' }, // built-in or group category key
+  amount: { type: Number, required: true }, // in the group's base currency
+  currency: { type: String, uppercase: true },
+  originalAmount: Number, // as entered, in `currency`
+  minorUnits: Boolean, // set on creation: amounts are integer minor units
+  exchangeRate: { type: Number, default: 1 }, // currency -> base currency
+  splitType: { type: String, enum: ['equal', 'exact', 'percentage', 'shares'], default: 'equal' },
+  splits: [SplitSchema],
+  memberCount: Number, // group size when the expense was created; approvals are counted against it
+  recurringId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringExpense' },
+  occurrence: Date, // due date of the recurring run that created this expense
+  approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  approved: { type: Boolean, default: false },
+  rejections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  rejected: { type: Boolean, default: false },
+  deleted: { type: Boolean, default: false }, // soft delete keeps the history readable
+  deletedAt: Date,
+  history: [HistorySchema],
+  receipts: [ReceiptSchema],
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+ExpenseSchema.index(
+  { groupId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Newest-first paging within a group
+ExpenseSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+
+// One generated expense per recurring run, even if the scheduler restarts mid-run
+ExpenseSchema.index(
+  { recurringId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
+
+// Template for an expense the scheduler re-creates on a cadence
+const RecurringExpenseSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   description: String,
-  amount: { type: Number, required: true },
+  category: String, // unset = guess from the description on every run
+  amount: { type: Number, required: true }, // in `currency`, as entered
+  currency: { type: String, uppercase: true },
+  minorUnits: Boolean, // set on creation: amounts are integer minor units
+  exchangeRate: Number, // fixed rate; unset = look it up on every run
+  splitType: { type: String, enum: ['equal', 'exact', 'percentage', 'shares'], default: 'equal' },
+  splits: [{ _id: false, user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, value: Number }],
+  cadence: { type: String, enum: ['daily', 'weekly', 'monthly', 'cron'], required: true },
+  interval: { type: Number, default: 1 }, // every N days / weeks / months
+  cron: String, // cadence 'cron': standard 5-field expression
+  timezone: { type: String, default: 'UTC' }, // cadence 'cron' only
+  startDate: { type: Date, required: true },
+  endDate: Date,
+  nextRunAt: Date, // unset once the schedule has ended
+  lastRunAt: Date,
+  paused: { type: Boolean, default: false },
+  lastError: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A repayment between two members ("from" paid "to"), confirmed like an expense
+const SettlementSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true }, // in the group's base currency
+  minorUnits: Boolean, // set on creation: amount is integer minor units
+  note: String,
   approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   approved: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// 1 unit of `from` = `rate` units of `to`. groupId null means a global (admin-loaded) rate.
+const ExchangeRateSchema = new mongoose.Schema({
+  from: { type: String, uppercase: true, required: true },
+  to: { type: String, uppercase: true, required: true },
+  rate: { type: Number, required: true },
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null },
+  source: { type: String, enum: ['admin', 'expense'], default: 'admin' },
+  updatedAt: { type: Date, default: Date.now }
+});
+ExchangeRateSchema.index({ from: 1, to: 1, groupId: 1 }, { unique: true });
+
+// Stored response of a request made with an Idempotency-Key; replayed on retries for 24h
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  route: { type: String, required: true }, // "POST /expenses"
+  requestHash: { type: String, required: true },
+  completed: { type: Boolean, default: false },
+  lockedUntil: Date, // an unfinished request older than this is presumed dead
+  status: Number,
+  body: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+IdempotencyKeySchema.index({ key: 1, userId: 1, route: 1 }, { unique: true });
+
+// One entry in a group's activity feed
+const ActivitySchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset for automatic changes
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'group.created', 'group.archived', 'group.unarchived', 'group.deleted', 'group.restored', 'member.join_requested', 'member.approved', 'member.rejected', 'member.removed',
+      'member.left', 'expense.added', 'expense.approval', 'expense.approved', 'expense.rejected',
+      'expense.edited', 'expense.deleted', 'settlement.added', 'settlement.approved'
+    ]
+  },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // member the entry is about
+  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
+  settlementId: { type: mongoose.Schema.Types.ObjectId, ref: 'Settlement' },
+  data: mongoose.Schema.Types.Mixed, // small summary for display, e.g. { description, amount }
+  createdAt: { type: Date, default: Date.now }
+});
+ActivitySchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+
+// How far a user has read a group's activity feed
+const ActivityReadSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastReadAt: { type: Date, required: true }
+});
+ActivityReadSchema.index({ groupId: 1, userId: 1 }, { unique: true });
+
+// Outbound webhook of a group; subscribed to activity types, deliveries are signed with `secret`
+const WebhookSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true, index: true },
+  url: { type: String, required: true },
+  events: [{ type: String, required: true }], // ActivitySchema types
+  secret: { type: String, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.secret; // only shown once, when the webhook is created
+      return ret;
+    }
+  }
+});
+
+// One event for one webhook. Pending deliveries are the retry queue; the rest is the log.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  event: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date, // claimed by a worker until then
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1, _id: -1 });
+
+// A nudge from one member to another or a weekly digest. Queued reminders are sent by the
+// reminder scheduler once sendAt has passed (pushed back by the recipient's quiet hours).
+const ReminderSchema = new mongoose.Schema({
+  type: { type: String, enum: ['nudge', 'digest'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // recipient
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // nudges only
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' }, // nudges only
+  reason: { type: String, enum: ['balance', 'approvals'] }, // nudges only
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ['queued', 'sent', 'failed', 'skipped'], default: 'queued' },
+  sendAt: { type: Date, default: Date.now },
+  channel: String,
+  sentAt: Date,
+  error: String,
+  createdAt: { type: Date, default: Date.now }
 });
+ReminderSchema.index({ status: 1, sendAt: 1 });
+ReminderSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+ReminderSchema.index({ senderId: 1, userId: 1, groupId: 1, createdAt: -1 });
 
 const User = mongoose.model('User', UserSchema);
 const Group = mongoose.model('Group', GroupSchema);
 const Expense = mongoose.model('Expense', ExpenseSchema);
+const Settlement = mongoose.model('Settlement', SettlementSchema);
+const ExchangeRate = mongoose.model('ExchangeRate', ExchangeRateSchema);
+const RecurringExpense = mongoose.model('RecurringExpense', RecurringExpenseSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+const Activity = mongoose.model('Activity', ActivitySchema);
+const ActivityRead = mongoose.model('ActivityRead', ActivityReadSchema);
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+const Reminder = mongoose.model('Reminder', ReminderSchema);
+
+const CONTACT_STATUSES = ['new', 'contacted', 'qualified', 'closed', 'spam'];
 
 const ContactSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true },
   message: { type: String, required: true },
   plan: { type: String, required: true },
+  status: { type: String, enum: CONTACT_STATUSES, default: 'new' },
+  statusUpdatedAt: Date,
   createdAt: { type: Date, default: Date.now }
 })
+ContactSchema.index({ createdAt: -1, _id: -1 });
 
 const TestimonialSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -60,265 +525,3509 @@ const TestimonialSchema = new mongoose.Schema({
   image: { type: String },
   testimonial: { type: String, required: true },
   verified: { type: Boolean, default: false },
+  rejected: { type: Boolean, default: false },
+  reviewedAt: Date,
   createdAt: { type: Date, default: Date.now }
 })
+TestimonialSchema.index({ createdAt: -1, _id: -1 });
 
 const Contact = mongoose.model('Contact', ContactSchema);
 const Testimonial = mongoose.model('Testimonial', TestimonialSchema);
 
 
 
-/** --- Helper: approval threshold (>50%) --- **/
-function approvalThreshold(memberCount) {
-  return Math.floor(memberCount / 2) + 1;
+/** --- Helper: balances & settle-up --- **/
+// Net balances of a group's members from its approved expenses and settlements
+async function groupNetBalances(group) {
+  const expenses = await Expense.find({ groupId: group._id, approved: true, deleted: { $ne: true } }).lean();
+  const settlements = await Settlement.find({ groupId: group._id, approved: true }).lean();
+  return computeBalances(ledgerMembers(group), expenses, settlements);
 }
 
-/** --- REST Routes --- **/
+/** --- Helper: currency conversion --- **/
+// Group-specific rates win over global ones; an inverse rate is used when only that is stored.
+async function resolveRate(from, to, groupId) {
+  from = from.toUpperCase();
+  to = to.toUpperCase();
+  if (from === to) return 1;
 
-// POST /contact - Add new contact
-app.post('/contact', async (req, res) => {
-  try {
-    const newContact = new Contact(req.body);
-    const saved = await newContact.save();
-    res.status(200).json({ success: true, id: saved._id });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  for (const scope of [groupId, null]) {
+    const direct = await ExchangeRate.findOne({ from, to, groupId: scope }).lean();
+    if (direct) return direct.rate;
+    const inverse = await ExchangeRate.findOne({ from: to, to: from, groupId: scope }).lean();
+    if (inverse) return 1 / inverse.rate;
   }
-});
+  return null;
+}
 
-// POST /testimonial - Add new testimonial
-app.post('/testimonial', async (req, res) => {
+// Legacy expenses were entered straight in the base currency
+function withCurrency(expense, baseCurrency) {
+  return {
+    ...expense,
+    currency: expense.currency || baseCurrency,
+    originalAmount: expense.originalAmount ?? expense.amount,
+    exchangeRate: expense.exchangeRate ?? 1
+  };
+}
+
+/** --- Helper: expense categories --- **/
+const BUILT_IN_CATEGORIES = [
+  { key: 'food', name: 'Food & Dining', keywords: ['food', 'dinner', 'lunch', 'breakfast', 'restaurant', 'cafe', 'coffee', 'pizza', 'snacks', 'zomato', 'swiggy', 'dining'] },
+  { key: 'groceries', name: 'Groceries', keywords: ['grocery', 'groceries', 'supermarket', 'vegetables', 'fruits', 'milk', 'bigbasket', 'blinkit'] },
+  { key: 'transport', name: 'Transport', keywords: ['uber', 'ola', 'taxi', 'cab', 'auto', 'bus', 'metro', 'fuel', 'petrol', 'diesel', 'parking', 'toll'] },
+  { key: 'travel', name: 'Travel', keywords: ['flight', 'train', 'airport', 'trip', 'visa', 'tour', 'tickets'] },
+  { key: 'accommodation', name: 'Accommodation', keywords: ['hotel', 'hostel', 'airbnb', 'stay', 'resort', 'booking'] },
+  { key: 'rent', name: 'Rent', keywords: ['rent', 'deposit', 'lease', 'maintenance'] },
+  { key: 'utilities', name: 'Utilities', keywords: ['electricity', 'water', 'gas', 'internet', 'wifi', 'broadband', 'recharge', 'bill'] },
+  { key: 'entertainment', name: 'Entertainment', keywords: ['movie', 'movies', 'cinema', 'concert', 'party', 'drinks', 'bar', 'game', 'games'] },
+  { key: 'subscriptions', name: 'Subscriptions', keywords: ['netflix', 'spotify', 'prime', 'hotstar', 'youtube', 'subscription'] },
+  { key: 'shopping', name: 'Shopping', keywords: ['shopping', 'clothes', 'amazon', 'flipkart', 'gift', 'gifts'] },
+  { key: 'health', name: 'Health', keywords: ['doctor', 'medicine', 'medicines', 'pharmacy', 'hospital', 'gym'] },
+  { key: 'other', name: 'Other', keywords: [] }
+];
+
+function groupCategories(group) {
+  return [...BUILT_IN_CATEGORIES, ...(group.categories || [])];
+}
+
+// First category with a keyword appearing as a whole word in the text; group categories
+// are checked before built-in ones so groups can override the defaults.
+function guessCategory(text, group) {
+  const words = new Set(String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u));
+  const candidates = [...(group.categories || []), ...BUILT_IN_CATEGORIES];
+  const match = candidates.find(c => (c.keywords || []).some(k => words.has(k.toLowerCase())));
+  return match ? match.key : 'other';
+}
+
+/** --- Helper: expense amounts --- **/
+// Validates payer + participants and converts the entered amount and split into the group's
+// base currency. Shared by expense creation and edits.
+// input: { paidBy, amount, splitType, splits, participants, currency, exchangeRate }
+// Returns { error } or { fields } to assign onto an Expense.
+async function resolveExpenseAmounts(group, input, { saveRate = true } = {}) {
+  const { paidBy, amount, splitType = 'equal', splits, participants, currency, exchangeRate } = input;
+
+  const memberIds = group.members.map(String);
+  if (!memberIds.includes(String(paidBy))) return { error: 'Payer is not a group member' };
+
+  const entries = splits || (participants || memberIds).map(user => ({ user }));
+  if (entries.some(e => !memberIds.includes(String(e.user)))) {
+    return { error: 'Split participant is not a group member' };
+  }
+
+  const expenseCurrency = (currency || group.baseCurrency).toUpperCase();
+  let rate = 1;
+  if (expenseCurrency !== group.baseCurrency) {
+    if (exchangeRate) {
+      rate = Number(exchangeRate);
+      if (!(rate > 0)) return { error: 'Invalid exchangeRate' };
+      if (saveRate) {
+        await ExchangeRate.findOneAndUpdate(
+          { from: expenseCurrency, to: group.baseCurrency, groupId: group._id },
+          { rate, source: 'expense', updatedAt: new Date() },
+          { upsert: true }
+        );
+      }
+    } else {
+      rate = await resolveRate(expenseCurrency, group.baseCurrency, group._id);
+      if (!rate) return { error: `No exchange rate for ${expenseCurrency} -> ${group.baseCurrency}` };
+    }
+  }
+
+  // Split amounts are stored in the base currency; exact amounts are entered in the expense currency
+  const originalAmount = Number(amount);
+  if (!Number.isInteger(originalAmount) || originalAmount <= 0) {
+    return { error: 'amount must be a positive whole number of minor units' };
+  }
+  const total = convertMinor(originalAmount, rate, expenseCurrency, group.baseCurrency);
+  if (total <= 0) return { error: 'amount is too small to convert' };
+  const split = buildSplits(splitType, total, entries, originalAmount);
+  if (split.error) return split;
+
+  return {
+    fields: {
+      paidBy,
+      amount: total,
+      currency: expenseCurrency,
+      originalAmount,
+      exchangeRate: rate,
+      splitType,
+      splits: split.splits,
+      minorUnits: true
+    }
+  };
+}
+
+/** --- Helper: expense audit trail --- **/
+const TRACKED_EXPENSE_FIELDS = [
+  'description', 'category', 'amount', 'currency', 'originalAmount', 'exchangeRate', 'paidBy', 'splitType', 'splits'
+];
+
+function snapshotExpense(expense) {
+  const doc = expense.toObject({ depopulate: true });
+  return Object.fromEntries(TRACKED_EXPENSE_FIELDS.map(f => [f, JSON.parse(JSON.stringify(doc[f] ?? null))]));
+}
+
+// [{ field, from, to }] for every tracked field that differs between two snapshots
+function diffSnapshots(before, after) {
+  return TRACKED_EXPENSE_FIELDS
+    .filter(f => JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map(f => ({ field: f, from: before[f], to: after[f] }));
+}
+
+/** --- Helper: activity feed --- **/
+// Appends to a group's feed, pushes it to the room and queues it for the group's webhooks.
+// Never fails the calling request.
+// entry: { actor?, type, subject?, expenseId?, settlementId?, data? }
+async function recordActivity(groupId, entry) {
   try {
-    const newTestimonial = new Testimonial(req.body);
-    const saved = await newTestimonial.save();
-    res.status(200).json({ success: true, id: saved._id });
+    const activity = await Activity.create({ groupId, ...entry });
+    if (ACTIVITY_METRICS[entry.type]) ACTIVITY_METRICS[entry.type].inc();
+    io.to(String(groupId)).emit('activity', { activity: activity.toObject() });
+    await enqueueWebhooks(activity);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    logger.error('recordActivity error', { err, groupId, type: entry.type });
   }
-});
+}
 
-// GET /testimonial - Get all testimonials
-app.get('/testimonial', async (req, res) => {
+/** --- Helper: webhooks --- **/
+// Webhooks subscribe to activity types, so every route that records activity also fires them
+const WEBHOOK_EVENTS = ActivitySchema.path('type').enumValues;
+const MAX_WEBHOOKS_PER_GROUP = 10;
+
+// Queues one delivery per active webhook subscribed to the activity's type.
+// Expense events carry the expense as it is now.
+async function enqueueWebhooks(activity) {
+  const webhooks = await Webhook.find({ groupId: activity.groupId, active: true, events: activity.type }, '_id').lean();
+  if (!webhooks.length) return;
+
+  const expense = activity.expenseId
+    && await Expense.findById(activity.expenseId).select('-history -receipts.key').lean();
+  const payload = {
+    event: activity.type,
+    groupId: activity.groupId,
+    occurredAt: activity.createdAt,
+    activityId: activity._id,
+    actor: activity.actor,
+    subject: activity.subject,
+    expenseId: activity.expenseId,
+    settlementId: activity.settlementId,
+    data: activity.data,
+    expense: expense || undefined
+  };
+  await WebhookDelivery.insertMany(webhooks.map(w => ({
+    webhookId: w._id, groupId: activity.groupId, event: activity.type, payload
+  })));
+  setImmediate(deliverWebhooks);
+}
+
+// Addresses webhooks may not target: loopback, private, link-local (cloud metadata services),
+// shared, reserved and multicast ranges. WEBHOOK_ALLOW_PRIVATE=true lifts this for local testing.
+const BLOCKED_WEBHOOK_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], ['224.0.0.0', 4, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+];
+const blockedWebhookAddresses = new net.BlockList();
+BLOCKED_WEBHOOK_SUBNETS.forEach(([address, prefix, type]) => blockedWebhookAddresses.addSubnet(address, prefix, type));
+
+// Resolves a webhook URL's host and returns why it can't be used, or null when every address
+// it resolves to is public. Checked on registration and again before each delivery.
+async function webhookTargetError(url) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
   try {
-    const testimonials = await Testimonial.find({ verified: true }).sort({ createdAt: -1 });
-    res.status(200).json(testimonials);
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    return `Cannot resolve ${host}`;
+  }
+  return addresses.some(isBlockedWebhookAddress) ? `${host} resolves to a private or reserved address` : null;
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+const isBlockedWebhookAddress = ({ address, family }) =>
+  blockedWebhookAddresses.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+
+// Deliveries connect through this agent, whose lookup re-checks the addresses it hands to the
+// socket. A host that passed webhookTargetError can't rebind to a private address in between.
+const webhookAgent = new Agent({
+  connect: {
+    lookup(hostname, options, callback) {
+      dns.lookup(hostname, { ...options, all: true, verbatim: true }).then(addresses => {
+        if (process.env.WEBHOOK_ALLOW_PRIVATE !== 'true' && addresses.some(isBlockedWebhookAddress)) {
+          return callback(new Error(`${hostname} resolves to a private or reserved address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      }, callback);
+    }
   }
 });
 
-// Login or auto-create user
-app.post('/users/login', async (req, res) => {
-  try {
-    const { androidId, deviceName } = req.body;
-    if (!androidId) return res.status(400).json({ message: 'androidId required' });
+const expenseSummary = expense => ({ description: expense.description, amount: expense.amount });
 
-    let user = await User.findOne({ androidId });
+/** --- Helper: expense creation --- **/
+// Saves a new document with a backdated createdAt (recurring runs, imports). Mongoose would copy
+// createdAt into updatedAt, and /sync cursors already past that time would never see it.
+function saveBackdated(doc) {
+  doc.updatedAt = new Date();
+  return doc.save({ timestamps: false });
+}
 
-    if (!user) {
-      user = await User.create({ androidId, deviceName });
-    } else {
-      // Optionally update deviceName if it changed
-      if (deviceName && user.deviceName !== deviceName) {
-        user.deviceName = deviceName;
-        await user.save();
+// Creates, auto-approves (per policy) and broadcasts an expense. Used by POST /expenses and
+// the recurring scheduler. Returns { error } or { expense } (populated).
+// saveRate: false keeps an entered exchangeRate off the group's rates (recurring runs replay a
+// rate stored on the template, which shouldn't overwrite newer ones).
+async function createExpense(group, addedBy, input, extra = {}, { saveRate = true } = {}) {
+  if (input.category && !groupCategories(group).some(c => c.key === input.category)) {
+    return { error: `Unknown category ${input.category}` };
+  }
+  const resolved = await resolveExpenseAmounts(group, { ...input, paidBy: input.paidBy || addedBy }, { saveRate });
+  if (resolved.error) return resolved;
+
+  const expense = new Expense({
+    groupId: group._id,
+    addedBy,
+    description: input.description || '',
+    category: input.category || guessCategory(input.description, group),
+    ...resolved.fields,
+    memberCount: group.members.length,
+    approvals: [],
+    approved: false,
+    history: [{ action: 'created', by: addedBy }],
+    ...extra
+  });
+  refreshApprovalState(expense, group);
+  await (extra.createdAt ? saveBackdated(expense) : expense.save());
+
+  const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+  io.to(String(group._id)).emit('expenseAdded', { expense: populated });
+  await recordActivity(group._id, {
+    actor: addedBy, type: 'expense.added', expenseId: expense._id,
+    data: { ...expenseSummary(expense), recurring: Boolean(extra.recurringId) }
+  });
+  if (populated.approved) {
+    io.to(String(group._id)).emit('expenseApproved', { expense: populated });
+    await recordActivity(group._id, { type: 'expense.approved', expenseId: expense._id, data: expenseSummary(expense) });
+  }
+  return { expense: populated };
+}
+
+/** --- Helper: spending stats --- **/
+// Totals of approved expenses (base currency) by category, member and month in an optional
+// createdAt range. Used by /groups/:id/stats and the group report.
+async function groupStats(group, { from, to } = {}) {
+  const match = { groupId: group._id, approved: true, deleted: { $ne: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [facets] = await Expense.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
+        byCategory: [
+          { $group: { _id: { $ifNull: ['$category', 'other'] }, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+          { $sort: { amount: -1 } }
+        ],
+        byMonth: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        paid: [{ $group: { _id: { $ifNull: ['$paidBy', '$addedBy'] }, amount: { $sum: '$amount' } } }],
+        share: [
+          { $unwind: '$splits' },
+          { $group: { _id: '$splits.user', amount: { $sum: '$splits.amount' } } }
+        ],
+        // Legacy expenses without splits are shared equally by the current members
+        legacyShare: [
+          { $match: { $or: [{ splits: { $exists: false } }, { splits: { $size: 0 } }] } },
+          { $group: { _id: null, amount: { $sum: '$amount' } } }
+        ]
       }
     }
+  ]);
 
-    res.json({ user });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+  const names = Object.fromEntries(
+    (await User.find({ _id: { $in: group.members } }, 'displayName').lean()).map(u => [String(u._id), u.displayName])
+  );
+  const memberIds = group.members.map(String);
+  const legacyShares = apportion(facets.legacyShare.length ? facets.legacyShare[0].amount : 0, memberIds.map(() => 1), memberIds);
+  const byMember = {};
+  const member = id => (byMember[id] = byMember[id] || { userId: id, displayName: names[id], paid: 0, share: 0 });
+  memberIds.forEach((id, i) => { member(id).share += legacyShares[i]; });
+  facets.paid.forEach(p => { member(String(p._id)).paid += p.amount; });
+  facets.share.forEach(s => { member(String(s._id)).share += s.amount; });
 
+  const categoryNames = Object.fromEntries(groupCategories(group).map(c => [c.key, c.name]));
+  const total = facets.total[0] || { amount: 0, count: 0 };
 
+  return {
+    currency: group.baseCurrency,
+    from: from || null,
+    to: to || null,
+    total: { amount: total.amount, count: total.count },
+    byCategory: facets.byCategory.map(c => ({
+      category: c._id, name: categoryNames[c._id] || c._id, amount: c.amount, count: c.count
+    })),
+    byMember: Object.values(byMember),
+    byMonth: facets.byMonth.map(m => ({ month: m._id, amount: m.amount, count: m.count }))
+  };
+}
 
-// Create group
-app.post('/groups', async (req, res) => {
-  try {
-    console.log('Creating group with body:', req.body);
-    const { name, userId } = req.body;
-    if (!name || !userId) {
-      return res.status(400).json({ message: 'Missing group name or userId' });
+/** --- Helper: statements & reports --- **/
+// Statements and the group report are built as a document
+// { title, subtitle, summary: [[label, value]], tables: [{ title, columns: [{ label, numeric?, width? }], rows }] }
+// with every value already formatted, then rendered by renderDocumentHtml or writeDocumentPdf.
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+function periodLabel(from, to) {
+  if (!from && !to) return 'All time';
+  return `${from ? formatDate(from) : 'Start'} to ${to ? formatDate(to) : formatDate(new Date())}`;
+}
+
+// Display names of a group's current and former members
+async function memberNames(group) {
+  const ids = [...ledgerMembers(group), ...group.departedMembers.map(d => d.user)];
+  const users = await User.find({ _id: { $in: ids } }, 'displayName').lean();
+  return Object.fromEntries(users.map(u => [String(u._id), u.displayName]));
+}
+
+// Approved expenses and settlements of a group up to `to` (everything when unset)
+async function approvedLedger(group, to) {
+  const upTo = to ? { createdAt: { $lte: to } } : {};
+  const expenses = await Expense.find({ groupId: group._id, approved: true, deleted: { $ne: true }, ...upTo })
+    .sort({ createdAt: 1, _id: 1 }).lean();
+  const settlements = await Settlement.find({ groupId: group._id, approved: true, ...upTo })
+    .sort({ createdAt: 1, _id: 1 }).lean();
+  return { expenses, settlements };
+}
+
+// One member's approved activity in a period. Each line's effect is what it does to their
+// balance (positive = owed to them); entries before `from` make up the opening balance.
+async function buildStatement(group, userId, { from, to } = {}) {
+  const id = String(userId);
+  const { expenses, settlements } = await approvedLedger(group, to);
+  let opening = 0;
+  const lines = [];
+  const add = line => {
+    if (from && line.date < from) opening += line.effect;
+    else lines.push(line);
+  };
+
+  expenses.forEach(expense => {
+    const paid = idOf(expense.paidBy || expense.addedBy) === id ? expense.amount : 0;
+    const split = effectiveSplits(expense, ledgerMembers(group)).find(s => idOf(s.user) === id);
+    const share = split ? split.amount : 0;
+    if (!paid && !share) return;
+    add({
+      date: expense.createdAt, type: 'expense', description: expense.description, category: expense.category || 'other',
+      total: expense.amount, paid, share, effect: paid - share
+    });
+  });
+  settlements.forEach(settlement => {
+    const sent = idOf(settlement.from) === id;
+    if (!sent && idOf(settlement.to) !== id) return;
+    add({
+      date: settlement.createdAt, type: 'settlement', description: settlement.note, counterparty: idOf(sent ? settlement.to : settlement.from),
+      sent: sent ? settlement.amount : 0, received: sent ? 0 : settlement.amount, effect: sent ? settlement.amount : -settlement.amount
+    });
+  });
+  lines.sort((a, b) => a.date - b.date);
+
+  const sum = key => lines.reduce((total, line) => total + (line[key] || 0), 0);
+  return {
+    opening,
+    lines,
+    totals: { paid: sum('paid'), share: sum('share'), sent: sum('sent'), received: sum('received') },
+    closing: opening + sum('effect')
+  };
+}
+
+function statementDocument(group, userId, statement, names, { from, to }) {
+  const money = amount => formatMinor(amount, group.baseCurrency);
+  const balance = amount => (amount > 0 ? `${money(amount)} owed to them` : amount < 0 ? `${money(-amount)} owed by them` : 'Settled');
+  const categoryNames = Object.fromEntries(groupCategories(group).map(c => [c.key, c.name]));
+  let running = statement.opening;
+
+  return {
+    title: `Statement for ${names[String(userId)] || 'Former member'}`,
+    subtitle: `${group.name} | ${periodLabel(from, to)} | amounts in ${group.baseCurrency}`,
+    summary: [
+      ['Opening balance', balance(statement.opening)],
+      ['Paid for expenses', money(statement.totals.paid)],
+      ['Share of expenses', money(statement.totals.share)],
+      ['Settlements paid', money(statement.totals.sent)],
+      ['Settlements received', money(statement.totals.received)],
+      ['Closing balance', balance(statement.closing)]
+    ],
+    tables: [{
+      title: 'Activity',
+      columns: [
+        { label: 'Date' }, { label: 'Description', width: 2.5 }, { label: 'Category', width: 1.3 },
+        { label: 'Total', numeric: true }, { label: 'Paid', numeric: true }, { label: 'Share / received', numeric: true },
+        { label: 'Balance', numeric: true }
+      ],
+      rows: statement.lines.map(line => {
+        running += line.effect;
+        return line.type === 'expense'
+          ? [formatDate(line.date), line.description || '', categoryNames[line.category] || line.category,
+            money(line.total), money(line.paid), money(line.share), money(running)]
+          : [formatDate(line.date),
+            line.sent ? `Paid ${names[line.counterparty] || 'former member'}` : `Received from ${names[line.counterparty] || 'former member'}`,
+            'Settlement', money(line.sent || line.received), money(line.sent), money(line.received), money(running)];
+      })
+    }]
+  };
+}
+
+// Whole-group summary: spending breakdowns for the period, balances at its end and the
+// transfers that would settle them
+async function groupReportDocument(group, { from, to }) {
+  const money = amount => formatMinor(amount, group.baseCurrency);
+  const names = await memberNames(group);
+  const stats = await groupStats(group, { from, to });
+  const { expenses, settlements } = await approvedLedger(group, to);
+  const net = computeBalances(ledgerMembers(group), expenses, settlements);
+
+  return {
+    title: `Group summary: ${group.name}`,
+    subtitle: `${periodLabel(from, to)} | amounts in ${group.baseCurrency}`,
+    summary: [
+      ['Total spent', money(stats.total.amount)],
+      ['Approved expenses', String(stats.total.count)],
+      ['Members', String(group.members.length)]
+    ],
+    tables: [
+      {
+        title: 'By member',
+        columns: [{ label: 'Member', width: 2 }, { label: 'Paid', numeric: true }, { label: 'Share', numeric: true }, { label: 'Balance at end', numeric: true }],
+        rows: ledgerMembers(group).map(m => {
+          const id = String(m);
+          const row = stats.byMember.find(b => b.userId === id) || { paid: 0, share: 0 };
+          return [names[id] || id, money(row.paid), money(row.share), money(net[id] || 0)];
+        })
+      },
+      {
+        title: 'By category',
+        columns: [{ label: 'Category', width: 2 }, { label: 'Expenses', numeric: true }, { label: 'Amount', numeric: true }],
+        rows: stats.byCategory.map(c => [c.name, String(c.count), money(c.amount)])
+      },
+      {
+        title: 'By month',
+        columns: [{ label: 'Month', width: 2 }, { label: 'Expenses', numeric: true }, { label: 'Amount', numeric: true }],
+        rows: stats.byMonth.map(m => [m.month, String(m.count), money(m.amount)])
+      },
+      {
+        title: 'Settle up',
+        columns: [{ label: 'From', width: 2 }, { label: 'To', width: 2 }, { label: 'Amount', numeric: true }],
+        rows: simplifyDebts(net).map(t => [names[t.from] || t.from, names[t.to] || t.to, money(t.amount)])
+      }
+    ]
+  };
+}
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function renderDocumentHtml(doc) {
+  const cell = (tag, value, column) => `<${tag}${column.numeric ? ' class="num"' : ''}>${escapeHtml(value)}</${tag}>`;
+  const tables = doc.tables.map(table => `
+<h2>${escapeHtml(table.title)}</h2>
+${table.rows.length ? `<table>
+<thead><tr>${table.columns.map(c => cell('th', c.label, c)).join('')}</tr></thead>
+<tbody>
+${table.rows.map(row => `<tr>${row.map((v, i) => cell('td', v, table.columns[i])).join('')}</tr>`).join('\n')}
+</tbody>
+</table>` : '<p class="empty">Nothing in this period</p>'}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+h1 { margin-bottom: 0; }
+.subtitle, .empty { color: #666; }
+dl { display: grid; grid-template-columns: max-content auto; gap: .25rem 1.5rem; }
+dt { color: #666; }
+dd { margin: 0; font-weight: 600; }
+table { border-collapse: collapse; width: 100%; font-size: .9rem; }
+th, td { border-bottom: 1px solid #ddd; padding: .35rem .5rem; text-align: left; }
+.num { text-align: right; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<p class="subtitle">${escapeHtml(doc.subtitle)}</p>
+<dl>
+${doc.summary.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+${tables}
+<p class="subtitle">Generated ${escapeHtml(new Date().toISOString())}</p>
+</body>
+</html>
+`;
+}
+
+// Streams the document as an A4 PDF. Uses the built-in Helvetica, so text outside Latin-1
+// (e.g. some display names) may not render.
+function writeDocumentPdf(doc, stream) {
+  const pdf = new PDFDocument({ size: 'A4', margin: 40, info: { Title: doc.title } });
+  pdf.pipe(stream);
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  pdf.font('Helvetica-Bold').fontSize(18).text(doc.title);
+  pdf.font('Helvetica').fontSize(10).fillColor('#666').text(doc.subtitle).fillColor('black').moveDown();
+  doc.summary.forEach(([label, value]) => {
+    pdf.font('Helvetica').text(`${label}: `, { continued: true }).font('Helvetica-Bold').text(value);
+  });
+
+  doc.tables.forEach(table => {
+    pdf.moveDown().font('Helvetica-Bold').fontSize(12).text(table.title, left).moveDown(0.3);
+    if (!table.rows.length) {
+      pdf.font('Helvetica').fontSize(9).fillColor('#666').text('Nothing in this period').fillColor('black');
+      return;
     }
+    const weights = table.columns.map(c => c.width || 1);
+    const unit = width / weights.reduce((a, b) => a + b, 0);
+    const widths = weights.map(w => w * unit);
 
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    const row = (cells, font) => {
+      pdf.font(font).fontSize(8);
+      const options = i => ({ width: widths[i] - 6, align: table.columns[i].numeric ? 'right' : 'left' });
+      const height = Math.max(...cells.map((c, i) => pdf.heightOfString(String(c), options(i))));
+      if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+      const y = pdf.y;
+      let x = left;
+      cells.forEach((c, i) => {
+        pdf.text(String(c), x, y, options(i));
+        x += widths[i];
+      });
+      pdf.x = left;
+      pdf.y = y + height + 4;
+    };
+    row(table.columns.map(c => c.label), 'Helvetica-Bold');
+    table.rows.forEach(cells => row(cells, 'Helvetica'));
+  });
 
-    const joinCode = uuidv4().slice(0, 8).toUpperCase();
-    const group = new Group({ name, joinCode, creator: user._id, members: [user._id] });
-    await group.save();
+  pdf.end();
+}
 
-    user.groupId = group._id;
-    await user.save();
+// Answers a statement / report in the requested format
+function sendDocument(res, doc, format, filename) {
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/[^\w-]+/g, '_')}.pdf"`);
+    return writeDocumentPdf(doc, res);
+  }
+  res.type('html').send(renderDocumentHtml(doc));
+}
 
-    const populated = await Group.findById(group._id).populate('members').lean();
-    return res.json({ group: populated, user });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
+/** --- Helper: cursor pagination --- **/
+// Opaque cursor over (createdAt, _id) so pages stay stable while new expenses arrive
+function encodeCursor(doc) {
+  return Buffer.from(`${doc.createdAt.toISOString()}|${doc._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+  if (isNaN(date) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** --- Helper: errors & request validation --- **/
+// Every error response is { code, message, details? }; routes and middleware throw
+// AppError and the error handler after the routes answers it.
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+class AppError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || 'ERROR';
+    this.details = details;
   }
-});
+}
 
+// Parses req.params / req.query / req.body with zod schemas and replaces them with the
+// parsed values (coerced, unknown keys stripped). A failure is answered 400 VALIDATION_FAILED.
+function validate(schemas) {
+  return (req, res, next) => {
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const value = schemas[part].parse(req[part] ?? {});
+      // req.query is a getter in Express 5, so shadow it instead of assigning
+      Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
 
-// Join group (creates user & adds join request)
-app.post('/groups/join', async (req, res) => {
-  try {
-    console.log('Join group request with body:', req.body);
-    const { joinCode, userId } = req.body;
-    if (!joinCode || !userId) {
-      return res.status(400).json({ message: 'Missing joinCode or userId' });
+/** --- Receipt storage --- **/
+// A storage backend is { put(key, buffer), get(key) -> Readable, delete(key) }.
+// RECEIPT_STORAGE picks one from receiptStorageBackends; local disk is the default.
+function createLocalDiskStorage(root) {
+  const fileFor = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key ${key}`);
+    return file;
+  };
+  return {
+    async put(key, buffer) {
+      await fs.promises.mkdir(path.dirname(fileFor(key)), { recursive: true });
+      await fs.promises.writeFile(fileFor(key), buffer);
+    },
+    get(key) {
+      return fs.createReadStream(fileFor(key));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
     }
+  };
+}
 
-    const group = await Group.findOne({ joinCode });
-    if (!group) return res.status(404).json({ message: 'Group not found' });
+const receiptStorageBackends = {
+  local: () => createLocalDiskStorage(process.env.RECEIPT_DIR || path.join(__dirname, 'uploads', 'receipts'))
+};
+const receiptStorage = receiptStorageBackends[process.env.RECEIPT_STORAGE || 'local']();
 
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ message: 'User not found' });
+const RECEIPT_MAX_BYTES = Number(process.env.RECEIPT_MAX_BYTES) || 5 * 1024 * 1024;
+const RECEIPT_MAX_FILES = 5;
 
-    // Only add to joinRequests if not already in group
-    if (!group.members.includes(user._id) && !group.joinRequests.includes(user._id)) {
-      group.joinRequests.push(user._id);
-      await group.save();
-    }
-    console.log(group)
+// Allowed types and their leading bytes, so a renamed file can't pass as an image
+const RECEIPT_TYPES = {
+  'image/jpeg': buf => buf.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP',
+  'image/heic': buf => buf.toString('latin1', 4, 8) === 'ftyp',
+  'application/pdf': buf => buf.toString('latin1', 0, 5) === '%PDF-'
+};
 
-    return res.json({ message: 'Join request sent', user });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RECEIPT_MAX_BYTES, files: RECEIPT_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (RECEIPT_TYPES[file.mimetype]) return cb(null, true);
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
   }
-});
+}).array('receipts', RECEIPT_MAX_FILES);
 
-// Approve join request
-app.post('/groups/approve-join', async (req, res) => {
-  try {
-    const { groupId, userId } = req.body;
-    const group = await Group.findById(groupId);
-    if (!group) return res.status(404).json({ message: 'Group not found' });
+// multer as a middleware with upload errors answered as 400 / 413
+function uploadReceipts(req, res, next) {
+  receiptUpload(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(413, `Receipts must be under ${RECEIPT_MAX_BYTES} bytes`));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(400,
+        `Upload up to ${RECEIPT_MAX_FILES} files in the "receipts" field as ${Object.keys(RECEIPT_TYPES).join(', ')}`));
+    }
+    next(err);
+  });
+}
+
+// Removes every stored file of an expense (caller saves the expense)
+async function deleteReceiptFiles(expense) {
+  await Promise.all(expense.receipts.map(r => receiptStorage.delete(r.key)));
+  expense.receipts = [];
+}
 
-    if (!group.members.includes(userId)) {
-      group.members.push(userId);
+/** --- Notification channels --- **/
+// A channel is { name, send(user, reminder) } and throws when delivery fails.
+// NOTIFICATION_CHANNEL picks one from notificationChannels; 'log' writes to stdout for
+// development and tests, push / e-mail channels plug in next to it.
+function createLogChannel() {
+  return {
+    name: 'log',
+    async send(user, reminder) {
+      // Title and body can name people and amounts, so only their size is logged
+      logger.info('Reminder', {
+        to: user._id, reminderId: reminder._id, type: reminder.type, bodyLength: (reminder.body || '').length
+      });
     }
-    group.joinRequests = group.joinRequests.filter(u => String(u) !== String(userId));
-    await group.save();
+  };
+}
 
-    const user = await User.findById(userId);
-    return res.json({ message: 'User added to members', user });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
-  }
+const notificationChannels = {
+  log: createLogChannel
+};
+const notificationChannel = notificationChannels[process.env.NOTIFICATION_CHANNEL || 'log']();
+
+/** --- Helper: reminders --- **/
+const NUDGE_COOLDOWN_MS = 24 * 60 * 60 * 1000; // per sender, recipient and group
+const MAX_NUDGES_PER_DAY = 3; // per recipient, from anyone
+
+// Pending expenses of a group the user didn't add and hasn't voted on
+const awaitingVote = (groupId, userId) => ({
+  groupId,
+  approved: false,
+  rejected: { $ne: true },
+  deleted: { $ne: true },
+  addedBy: { $ne: userId },
+  approvals: { $ne: userId },
+  rejections: { $ne: userId }
 });
 
-// Get group details
-app.get('/groups/:id', async (req, res) => {
-  try {
-    const group = await Group.findById(req.params.id)
-      .populate('members', 'deviceName')
-      .populate('joinRequests', 'deviceName')
-      .lean();
-      console.log(group)
-    if (!group) return res.status(404).json({ message: 'Group not found' });
+// What a user's weekly digest says: per group, expenses awaiting their vote and their
+// balance. Null when there's nothing to report.
+async function buildDigest(user) {
+  const groups = await Group.find({ members: user._id, archivedAt: null, deletedAt: null }).lean();
+  const summary = [];
+  const lines = [];
+  for (const group of groups) {
+    const pendingApprovals = await Expense.countDocuments(awaitingVote(group._id, user._id));
+    const balance = (await groupNetBalances(group))[String(user._id)] || 0;
+    if (!pendingApprovals && !balance) continue;
 
-    const expenses = await Expense.find({ groupId: group._id }).populate('addedBy', 'deviceName').lean();
+    const parts = [];
+    if (pendingApprovals) parts.push(`${pendingApprovals} to approve`);
+    if (balance < 0) parts.push(`you owe ${formatMinor(-balance, group.baseCurrency)} ${group.baseCurrency}`);
+    if (balance > 0) parts.push(`you are owed ${formatMinor(balance, group.baseCurrency)} ${group.baseCurrency}`);
+    lines.push(`${group.name}: ${parts.join(', ')}`);
+    summary.push({ groupId: group._id, name: group.name, currency: group.baseCurrency, pendingApprovals, balance });
+  }
+  return summary.length ? { body: lines.join('\n'), groups: summary } : null;
+}
 
-    return res.json({ ...group, expenses });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
+/** --- Helper: admin key --- **/
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_KEY || req.get('x-admin-key') !== process.env.ADMIN_KEY) {
+    throw new AppError(401, 'Admin key required');
   }
+  next();
+}
+
+/** --- Helper: spam protection for public forms --- **/
+// Set TRUST_PROXY (e.g. 1) behind a reverse proxy so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+// Fixed-window, in-memory limit of `max` requests per IP every `windowMs`
+function rateLimit({ windowMs, max }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, hit] of hits) if (hit.resetAt <= now) hits.delete(ip);
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let hit = hits.get(req.ip);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, hit);
+    }
+    if (++hit.count > max) {
+      res.set('Retry-After', String(Math.ceil((hit.resetAt - now) / 1000)));
+      throw new AppError(429, 'Too many requests, try again later', { code: 'RATE_LIMITED' });
+    }
+    next();
+  };
+}
+
+const formRateLimit = rateLimit({
+  windowMs: Number(process.env.FORM_RATE_WINDOW_MS) || 60 * 60 * 1000,
+  max: Number(process.env.FORM_RATE_MAX) || 5
 });
 
-// Add expense
-app.post('/expenses', async (req, res) => {
-  try {
-    const { groupId, addedBy, description, amount } = req.body;
-    if (!groupId || !addedBy || !amount) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
-
-    const expense = new Expense({
-      groupId,
-      addedBy,
-      description: description || '',
-      amount: Number(amount),
-      approvals: [],
-      approved: false
-    });
-    await expense.save();
+// Pairing codes are short, so guessing them is slowed down per IP
+const linkDeviceRateLimit = rateLimit({
+  windowMs: Number(process.env.LINK_DEVICE_RATE_WINDOW_MS) || 15 * 60 * 1000,
+  max: Number(process.env.LINK_DEVICE_RATE_MAX) || 10
+});
+
+// Hidden form field that people leave empty and bots fill in
+const HONEYPOT_FIELD = 'website';
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Bots and resubmissions get the normal success answer but nothing new is stored.
+// Returns the response body to send, or null when the submission should be saved.
+async function screenSubmission(req, Model, duplicateOf) {
+  if (req.body[HONEYPOT_FIELD]) return { success: true, id: new mongoose.Types.ObjectId() };
+  const existing = await Model.findOne({
+    ...duplicateOf,
+    createdAt: { $gt: new Date(Date.now() - DUPLICATE_WINDOW_MS) }
+  }, '_id').lean();
+  return existing ? { success: true, id: existing._id } : null;
+}
+
+/** --- Helper: auth tokens --- **/
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) throw new Error('JWT_SECRET is required');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+
+function issueTokens(user) {
+  const sub = String(user._id);
+  return {
+    accessToken: jwt.sign({ sub, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken: jwt.sign({ sub, type: 'refresh', ver: user.tokenVersion }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_TTL })
+  };
+}
 
-    const populated = await Expense.findById(expense._id).populate('addedBy', 'name').lean();
-    return res.json({ expense: populated });
+// Returns the user id of a valid access token, or null
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === 'access' ? payload.sub : null;
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
+    return null;
   }
-});
+}
 
-// Approve expense
-app.post('/expenses/approve', async (req, res) => {
-  try {
-    const { expenseId, userId } = req.body;
-    if (!expenseId || !userId) {
-      return res.status(400).json({ message: 'Missing expenseId or userId' });
+// Sets req.userId from the `Authorization: Bearer <accessToken>` header
+// Access tokens outlive an account erasure by up to ACCESS_TOKEN_TTL, so the account is
+// checked as well. Returns the user id, or null when the token or the account isn't valid.
+async function verifyActiveUser(token) {
+  const userId = verifyAccessToken(token);
+  if (!userId) return null;
+  const user = await User.findById(userId, 'erasedAt').lean();
+  return user && !user.erasedAt ? userId : null;
+}
+
+async function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const userId = header.startsWith('Bearer ') ? await verifyActiveUser(header.slice(7)) : null;
+  if (!userId) throw new AppError(401, 'Invalid or missing token');
+  req.userId = userId;
+  next();
+}
+
+// Loads the group a request targets into req.group and refuses callers who aren't members.
+// resolveGroupId(req) returns the group id, or nothing when the target doesn't exist.
+// Deleted groups count as missing and archived groups only take GET requests, unless the
+// route opts in with allowDeleted / allowArchived.
+function requireMember(resolveGroupId, notFoundMessage = 'Group not found', { allowArchived = false, allowDeleted = false } = {}) {
+  return async (req, res, next) => {
+    const groupId = await resolveGroupId(req);
+    const group = groupId && await Group.findById(groupId);
+    if (!group || (group.deletedAt && !allowDeleted)) throw new AppError(404, notFoundMessage);
+    if (!group.members.map(String).includes(req.userId)) {
+      throw new AppError(403, 'Not a member of this group');
+    }
+    if (group.archivedAt && !allowArchived && req.method !== 'GET') {
+      throw new AppError(409, 'This group is archived and read-only', { code: 'GROUP_ARCHIVED' });
     }
+    req.group = group;
+    next();
+  };
+}
+
+/** --- Helper: idempotency keys --- **/
+// Use after authenticate. A request carrying an `Idempotency-Key` header runs once per
+// (key, caller, route); retries get the stored response. Server errors aren't stored so
+// the retry actually runs again. A request that never finished (the process died) holds the
+// key for IDEMPOTENCY_LOCK_MS; after that a retry takes it over and runs.
+const IDEMPOTENCY_LOCK_MS = 2 * 60 * 1000;
 
-    const expense = await Expense.findById(expenseId);
-    if (!expense) return res.status(404).json({ message: 'Expense not found' });
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (!key) return next();
 
-    if (!expense.approvals.map(String).includes(String(userId))) {
-      expense.approvals.push(userId);
+  const scope = { key, userId: req.userId, route: `${req.method} ${req.path}` };
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+  const lockedUntil = () => new Date(Date.now() + IDEMPOTENCY_LOCK_MS);
+  try {
+    await IdempotencyKey.create({ ...scope, requestHash, lockedUntil: lockedUntil() });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await IdempotencyKey.findOne(scope).lean();
+    if (!existing) throw new AppError(409, 'Idempotency-Key conflict, retry');
+    if (existing.requestHash !== requestHash) {
+      throw new AppError(422, 'Idempotency-Key was already used for a different request');
     }
+    if (existing.completed) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status).json(existing.body);
+    }
+    // Only one retry wins the takeover of a stale key
+    const retaken = !(existing.lockedUntil > new Date()) && await IdempotencyKey.findOneAndUpdate(
+      { ...scope, completed: false, lockedUntil: existing.lockedUntil || null },
+      { lockedUntil: lockedUntil() }
+    );
+    if (!retaken) throw new AppError(409, 'A request with this Idempotency-Key is still in progress');
+  }
 
-    const group = await Group.findById(expense.groupId);
-    const threshold = approvalThreshold(group.members.length);
+  const json = res.json.bind(res);
+  res.json = body => {
+    const stored = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(scope)
+      : IdempotencyKey.updateOne(scope, { completed: true, status: res.statusCode, body: JSON.parse(JSON.stringify(body)) });
+    stored.catch(err => req.log.error('Idempotency store error', { err }));
+    return json(body);
+  };
+  next();
+}
+
+/** --- Helper: legacy accounts --- **/
+// Accounts used to be one phone: { androidId, deviceName, groupId }. Converts such a document
+// in place on first login; scripts/migrate-user-accounts.js does the same for all users at once.
+async function migrateLegacyUser(androidId) {
+  const legacy = await User.collection.findOne({ androidId, devices: { $exists: false } });
+  if (!legacy) return null;
+
+  await User.collection.updateOne({ _id: legacy._id }, {
+    $set: {
+      displayName: legacy.deviceName || 'New user',
+      devices: [{ androidId, deviceName: legacy.deviceName, linkedAt: legacy.createdAt || new Date(), lastSeenAt: new Date() }]
+    },
+    $unset: { androidId: 1, deviceName: 1, groupId: 1 }
+  });
+  return User.findById(legacy._id);
+}
 
-    if (expense.approvals.length >= threshold) {
-      expense.approved = true;
+/** --- Helper: group roles --- **/
+function memberRole(group, userId) {
+  const id = String(userId);
+  if (String(group.creator) === id) return 'creator';
+  if (!group.members.map(String).includes(id)) return null;
+  return (group.admins || []).map(String).includes(id) ? 'admin' : 'member';
+}
+
+// Use after requireMember: refuses callers whose role in req.group isn't listed
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(memberRole(req.group, req.userId))) {
+      throw new AppError(403, `Requires role: ${roles.join(' or ')}`);
     }
+    next();
+  };
+}
+
+// Drops a user from members, admins and any removal vote against them (caller saves)
+function dropMember(group, userId) {
+  const id = String(userId);
+  group.members = group.members.filter(u => String(u) !== id);
+  group.admins = group.admins.filter(u => String(u) !== id);
+  group.removalVotes = group.removalVotes.filter(v => String(v.target) !== id);
+  group.removalVotes.forEach(v => { v.votes = v.votes.filter(u => String(u) !== id); });
+  group.departedMembers.push({ user: userId });
+}
 
+// Pending expenses stop waiting on an erased account: its seat comes off the member count
+// frozen on each expense it hasn't voted on, and the expense is re-checked.
+async function releaseApprovalSeat(group, userId) {
+  const pending = await Expense.find({
+    groupId: group._id, approved: false, rejected: { $ne: true }, deleted: { $ne: true },
+    approvals: { $ne: userId }, rejections: { $ne: userId }
+  });
+  for (const expense of pending) {
+    if (expense.memberCount > 1) expense.memberCount--;
+    refreshApprovalState(expense, group);
     await expense.save();
-    const populated = await Expense.findById(expense._id).populate('addedBy', 'name').lean();
-    return res.json({ expense: populated });
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Server error' });
+    if (!expense.approved) continue;
+
+    const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+    io.to(String(group._id)).emit('expenseApproved', { expense: populated });
+    await recordActivity(group._id, { type: 'expense.approved', expenseId: expense._id, data: expenseSummary(expense) });
   }
-});
+}
 
+// Takes a departed member's sockets out of the group's room so pushes to it stop right away
+async function removeFromRoom(groupId, userId) {
+  const room = String(groupId);
+  const sockets = await io.in(room).fetchSockets();
+  sockets.filter(s => s.data.userId === String(userId)).forEach(s => s.leave(room));
+}
 
-// Groups by user
-app.get('/groups', async (req, res) => {
-  try {
-    const { userId } = req.query;
-    if (!userId) return res.status(400).json({ error: 'Missing userId' });
-
-    const groups = await Group.find({
-      members: userId,
-    }).sort({ updatedAt: -1 }).lean();
-
-    // For each group, fetch expenses and add them as a field
-    const groupsWithExpenses = await Promise.all(groups.map(async (group) => {
-      const expenses = await Expense.find({ groupId: group._id })
-        .populate('addedBy', 'name')
-        .lean();
-      return {
-        ...group,
-        expenses,
-      };
-    }));
+// Passes the creator role on when the creator goes: the first admin, else the longest-standing
+// other member. No-op for anyone else or when nobody is left (caller saves).
+function handOverCreator(group, userId) {
+  const id = String(userId);
+  if (String(group.creator) !== id) return;
+  const next = group.admins.find(u => String(u) !== id) || group.members.find(u => String(u) !== id);
+  if (!next) return;
+  group.creator = next;
+  group.admins = group.admins.filter(u => String(u) !== String(next));
+}
 
-    res.json(groupsWithExpenses);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+/** --- Helper: group lifecycle --- **/
+const GROUP_RESTORE_DAYS = Number(process.env.GROUP_RESTORE_DAYS) || 30;
 
-/** --- Start server --- **/
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 REST API server running on port ${PORT}`);
-});
+const restoreDeadline = group => new Date(group.deletedAt.getTime() + GROUP_RESTORE_DAYS * DAY_MS);
+
+// Recurring expenses stop with the group; resuming them later skips the missed runs
+function pauseRecurring(groupId, reason) {
+  return RecurringExpense.updateMany({ groupId, paused: false }, { paused: true, lastError: reason });
+}
+
+function newJoinCode() {
+  return uuidv4().slice(0, 8).toUpperCase();
+}
+
+// Group resolvers for routes that target an expense / settlement by id (URL or body).
+// Deleted expenses are only reachable through their history.
+const expenseGroup = async req => {
+  const id = req.params.id || req.body.expenseId;
+  req.expense = id && await Expense.findOne({ _id: id, deleted: { $ne: true } });
+  return req.expense && req.expense.groupId;
+};
+
+const expenseHistoryGroup = async req => {
+  req.expense = await Expense.findById(req.params.id).populate('history.by', 'displayName');
+  return req.expense && req.expense.groupId;
+};
+
+const recurringGroup = async req => {
+  req.recurring = await RecurringExpense.findById(req.params.id);
+  return req.recurring && req.recurring.groupId;
+};
+
+const settlementGroup = async req => {
+  req.settlement = req.body.settlementId && await Settlement.findById(req.body.settlementId);
+  return req.settlement && req.settlement.groupId;
+};
+
+/** --- Request schemas --- **/
+// Declared shapes of every route's params / query / body, applied with validate()
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Invalid id');
+const money = z.coerce.number().int().positive(); // minor units, see lib/money.js
+const rate = z.coerce.number().finite().positive();
+const currencyCode = z.string().trim().regex(/^[A-Za-z]{3}$/, 'Invalid currency code').transform(c => c.toUpperCase());
+const text = (max = 500) => z.string().trim().min(1).max(max);
+const dateRange = { from: z.coerce.date().optional(), to: z.coerce.date().optional() };
+const page = limit => ({
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(limit)
+});
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM');
+const idParams = z.object({ id: objectId });
+const CATEGORY_KEY = /^[a-z0-9-]{1,50}$/;
+const groupBody = z.object({ groupId: objectId });
+const memberBody = z.object({ groupId: objectId, userId: objectId });
+
+// Payer, currency and split of an expense or recurring expense
+const splitFields = {
+  paidBy: objectId.optional(),
+  currency: currencyCode.optional(),
+  exchangeRate: rate.optional(),
+  splitType: z.enum(['equal', 'exact', 'percentage', 'shares']).optional(),
+  splits: z.array(z.object({ user: objectId, value: z.coerce.number().finite().nonnegative().optional() })).min(1).optional(),
+  participants: z.array(objectId).min(1).optional()
+};
+
+const schemas = {
+  contact: {
+    body: z.object({
+      name: text(100),
+      email: z.string().trim().toLowerCase().email(),
+      message: text(5000),
+      plan: text(50),
+      [HONEYPOT_FIELD]: z.string().optional()
+    })
+  },
+  testimonial: {
+    body: z.object({
+      name: text(100),
+      title: text(100),
+      company: text(100).optional(),
+      image: z.string().trim().max(500).optional(),
+      testimonial: text(2000),
+      [HONEYPOT_FIELD]: z.string().optional()
+    })
+  },
+  adminTestimonials: {
+    query: z.object({ ...page(50), status: z.enum(['pending', 'verified', 'rejected']).optional() })
+  },
+  adminContacts: {
+    query: z.object({ ...page(50), plan: text(50).optional(), status: z.enum(CONTACT_STATUSES).optional() })
+  },
+  adminContactStatus: { params: idParams, body: z.object({ status: z.enum(CONTACT_STATUSES) }) },
+  adminItem: { params: idParams },
+  addWebhook: {
+    params: idParams,
+    body: z.object({
+      url: z.string().trim().url().max(2000).refine(url => /^https?:\/\//i.test(url), 'url must be http(s)'),
+      events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).transform(events => [...new Set(events)])
+    })
+  },
+  webhook: { params: idParams.extend({ webhookId: objectId }) },
+  webhookDeliveries: {
+    params: idParams.extend({ webhookId: objectId }),
+    query: z.object({ ...page(50), status: z.enum(['pending', 'delivered', 'failed']).optional() })
+  },
+  login: {
+    body: z.object({ androidId: text(100), deviceName: text(100).optional(), displayName: text(100).optional() })
+  },
+  refresh: { body: z.object({ refreshToken: z.string().min(1) }) },
+  updateMe: {
+    body: z.object({
+      displayName: text(100).optional(),
+      email: z.string().trim().email().nullable().optional(),
+      phone: z.string().trim().max(30).nullable().optional()
+    })
+  },
+  linkDevice: {
+    body: z.object({ pairingCode: z.coerce.string().regex(/^\d{8}$/, 'Invalid pairing code'), androidId: text(100), deviceName: text(100).optional() })
+  },
+  unlinkDevice: { params: z.object({ androidId: text(100) }) },
+  notificationSettings: {
+    body: z.object({
+      optOut: z.boolean().optional(),
+      digest: z.boolean().optional(),
+      quietHours: z.object({ start: clockTime, end: clockTime }).nullable().optional(),
+      timezone: z.string().refine(isTimeZone, 'Unknown timezone').optional()
+    })
+  },
+  myReminders: { query: z.object(page(30)) },
+  user: { params: idParams },
+  nudge: {
+    params: idParams,
+    body: z.object({
+      userId: objectId,
+      reason: z.enum(['balance', 'approvals']).default('balance'),
+      message: z.string().trim().max(200).optional()
+    })
+  },
+  createGroup: { body: z.object({ name: text(100), baseCurrency: currencyCode.optional() }) },
+  joinGroup: { body: z.object({ joinCode: z.string().trim().min(1).transform(c => c.toUpperCase()) }) },
+  memberAction: { body: memberBody },
+  leaveGroup: { body: groupBody },
+  setRole: { body: memberBody.extend({ role: z.enum(['admin', 'member']) }) },
+  approvalPolicy: {
+    params: idParams,
+    body: z.discriminatedUnion('mode', [
+      z.object({ mode: z.enum(['majority', 'unanimous', 'creator']) }),
+      z.object({ mode: z.literal('fixed'), count: z.number().int().positive() }),
+      z.object({ mode: z.literal('auto-below'), amount: money })
+    ])
+  },
+  regenerateJoinCode: { body: groupBody.extend({ expiresInHours: z.coerce.number().positive().optional() }) },
+  group: { params: idParams },
+  groupExpenses: {
+    params: idParams,
+    query: z.object({
+      ...page(20),
+      ...dateRange,
+      status: z.enum(['pending', 'approved', 'rejected']).optional(),
+      addedBy: objectId.optional(),
+      paidBy: objectId.optional(),
+      minAmount: z.coerce.number().int().optional(),
+      maxAmount: z.coerce.number().int().optional(),
+      q: z.string().trim().max(100).optional()
+    })
+  },
+  addCategory: {
+    params: idParams,
+    body: z.object({
+      name: text(50),
+      key: z.string().trim().regex(CATEGORY_KEY, 'key must be lowercase letters, digits and dashes').optional(),
+      keywords: z.array(text(50)).max(100).default([])
+    })
+  },
+  removeCategory: { params: idParams.extend({ key: text(50) }) },
+  stats: { params: idParams, query: z.object(dateRange) },
+  statement: {
+    params: idParams.extend({ userId: objectId }),
+    query: z.object({ ...dateRange, format: z.enum(['html', 'pdf']).default('html') })
+  },
+  report: { params: idParams, query: z.object({ ...dateRange, format: z.enum(['html', 'pdf']).default('html') }) },
+  exportGroup: { params: idParams, query: z.object({ format: z.enum(['csv', 'json']).default('json') }) },
+  importGroup: { params: idParams, query: z.object({ dryRun: z.enum(['true', 'false']).default('false').transform(v => v === 'true') }) },
+  addExpense: {
+    body: z.object({
+      groupId: objectId,
+      clientId: z.coerce.string().max(100).optional(),
+      description: z.string().trim().max(500).optional(),
+      category: text(50).optional(),
+      amount: money,
+      ...splitFields
+    })
+  },
+  expenseVote: { body: z.object({ expenseId: objectId }) },
+  rejectExpense: { body: z.object({ expenseId: objectId, undo: z.boolean().optional() }) },
+  editExpense: {
+    params: idParams,
+    body: z.object({
+      baseUpdatedAt: z.coerce.date().optional(),
+      description: z.string().trim().max(500).optional(),
+      category: text(50).optional(),
+      amount: money.optional(),
+      ...splitFields
+    })
+  },
+  expense: { params: idParams },
+  receipt: { params: idParams.extend({ receiptId: objectId }) },
+  exchangeRates: {
+    body: z.object({
+      rates: z.array(z.object({ from: currencyCode, to: currencyCode, rate })).min(1).max(500)
+    })
+  },
+  listExchangeRates: { query: z.object({}).strict() },
+  addSettlement: {
+    body: z.object({ groupId: objectId, from: objectId, to: objectId, amount: money, note: z.string().trim().max(500).optional() })
+  },
+  approveSettlement: { body: z.object({ settlementId: objectId }) },
+  addRecurring: {
+    params: idParams,
+    body: z.object({
+      description: z.string().trim().max(500).optional(),
+      category: text(50).optional(),
+      amount: money,
+      ...splitFields,
+      splitType: splitFields.splitType.default('equal'),
+      cadence: z.enum(['daily', 'weekly', 'monthly', 'cron']),
+      interval: z.number().int().positive().default(1),
+      cron: z.string().trim().optional(),
+      timezone: z.string().trim().default('UTC'),
+      startDate: z.coerce.date().optional(),
+      endDate: z.coerce.date().optional()
+    }).refine(body => body.cadence !== 'cron' || body.cron, { message: 'cron cadence needs a cron expression', path: ['cron'] })
+  },
+  recurring: { params: idParams },
+  activity: { params: idParams, query: z.object(page(30)) },
+  readActivity: { params: idParams, body: z.object({ until: z.coerce.date().optional() }) },
+  sync: { query: z.object({ since: z.string().optional() }) },
+  listGroups: { query: z.object({ archived: z.enum(['exclude', 'include', 'only']).default('exclude') }) }
+};
+
+/** --- Health, readiness & metrics --- **/
+// Liveness: the process is up and serving
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: MongoDB is connected and the server isn't shutting down
+app.get('/readyz', (req, res) => {
+  const mongo = mongoose.STATES[mongoose.connection.readyState];
+  const ready = mongo === 'connected' && !shuttingDown;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', mongo, shuttingDown });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send(`${Object.values(metrics).map(metric => metric.render()).join('\n')}\n`);
+});
+
+// Without a database connection, answer 503 right away instead of letting queries buffer
+app.use((req, res, next) => {
+  if (mongoose.connection.readyState !== mongoose.STATES.connected) {
+    throw new AppError(503, 'Database unavailable');
+  }
+  next();
+});
+
+/** --- REST Routes --- **/
+
+// POST /contact - Add new contact
+app.post('/contact', formRateLimit, validate(schemas.contact), async (req, res) => {
+  const screened = await screenSubmission(req, Contact, { email: req.body.email, message: req.body.message });
+  if (screened) return res.status(200).json(screened);
+
+  const newContact = new Contact(req.body);
+  const saved = await newContact.save();
+  res.status(200).json({ success: true, id: saved._id });
+});
+
+// POST /testimonial - Add new testimonial
+app.post('/testimonial', formRateLimit, validate(schemas.testimonial), async (req, res) => {
+  const screened = await screenSubmission(req, Testimonial, { name: req.body.name, testimonial: req.body.testimonial });
+  if (screened) return res.status(200).json(screened);
+
+  const newTestimonial = new Testimonial(req.body);
+  const saved = await newTestimonial.save();
+  res.status(200).json({ success: true, id: saved._id });
+});
+
+// GET /testimonial - Get all testimonials
+app.get('/testimonial', async (req, res) => {
+  const testimonials = await Testimonial.find({ verified: true }).sort({ createdAt: -1 });
+  res.status(200).json(testimonials);
+});
+
+/** --- Admin console (x-admin-key) --- **/
+// Applies ?cursor= to a newest-first createdAt/_id listing
+function pageFilter(filter, cursor) {
+  if (!cursor) return filter;
+  const after = decodeCursor(cursor);
+  if (!after) throw new AppError(400, 'Invalid cursor');
+  return {
+    ...filter,
+    $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after._id } }]
+  };
+}
+
+async function listPage(Model, filter, { cursor, limit }) {
+  const docs = await Model.find(pageFilter(filter, cursor)).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+  const items = docs.slice(0, limit);
+  return { items, nextCursor: docs.length > limit ? encodeCursor(items[items.length - 1]) : null };
+}
+
+// List testimonials for review
+// query: status? (pending|verified|rejected), cursor?, limit? (1-100, default 50)
+app.get('/admin/testimonials', requireAdmin, validate(schemas.adminTestimonials), async (req, res) => {
+  const { status } = req.query;
+  const filter = {};
+  if (status === 'verified') filter.verified = true;
+  else if (status === 'rejected') filter.rejected = true;
+  else if (status === 'pending') Object.assign(filter, { verified: { $ne: true }, rejected: { $ne: true } });
+  res.json(await listPage(Testimonial, filter, req.query));
+});
+
+// Publish a testimonial on GET /testimonial
+app.post('/admin/testimonials/:id/verify', requireAdmin, validate(schemas.adminItem), async (req, res) => {
+  const testimonial = await Testimonial.findByIdAndUpdate(
+    req.params.id, { verified: true, rejected: false, reviewedAt: new Date() }, { new: true }
+  );
+  if (!testimonial) throw new AppError(404, 'Testimonial not found');
+  res.json({ testimonial });
+});
+
+// Reject (and unpublish) a testimonial
+app.post('/admin/testimonials/:id/reject', requireAdmin, validate(schemas.adminItem), async (req, res) => {
+  const testimonial = await Testimonial.findByIdAndUpdate(
+    req.params.id, { verified: false, rejected: true, reviewedAt: new Date() }, { new: true }
+  );
+  if (!testimonial) throw new AppError(404, 'Testimonial not found');
+  res.json({ testimonial });
+});
+
+app.delete('/admin/testimonials/:id', requireAdmin, validate(schemas.adminItem), async (req, res) => {
+  const { deletedCount } = await Testimonial.deleteOne({ _id: req.params.id });
+  if (!deletedCount) throw new AppError(404, 'Testimonial not found');
+  res.json({ message: 'Testimonial deleted' });
+});
+
+// List contact submissions
+// query: plan?, status?, cursor?, limit? (1-100, default 50)
+app.get('/admin/contacts', requireAdmin, validate(schemas.adminContacts), async (req, res) => {
+  const { plan, status } = req.query;
+  const filter = {};
+  if (plan) filter.plan = plan;
+  if (status === 'new') filter.status = { $in: ['new', null] }; // leads from before statuses existed
+  else if (status) filter.status = status;
+  res.json(await listPage(Contact, filter, req.query));
+});
+
+// Move a contact submission through the pipeline
+// body: { status }
+app.patch('/admin/contacts/:id', requireAdmin, validate(schemas.adminContactStatus), async (req, res) => {
+  const contact = await Contact.findByIdAndUpdate(
+    req.params.id, { status: req.body.status, statusUpdatedAt: new Date() }, { new: true }
+  );
+  if (!contact) throw new AppError(404, 'Contact not found');
+  res.json({ contact });
+});
+
+// Login from a linked device, or create an account for a new one
+// body: { androidId, deviceName?, displayName? }
+app.post('/users/login', validate(schemas.login), async (req, res) => {
+  const { androidId, deviceName, displayName } = req.body;
+
+  let user = await User.findOne({ 'devices.androidId': androidId }) || await migrateLegacyUser(androidId);
+
+  if (!user) {
+    user = await User.create({
+      displayName: displayName || deviceName || 'New user',
+      devices: [{ androidId, deviceName }]
+    });
+  } else {
+    const device = user.devices.find(d => d.androidId === androidId);
+    device.lastSeenAt = new Date();
+    if (deviceName) device.deviceName = deviceName;
+    await user.save();
+  }
+
+  res.json({ user, ...issueTokens(user) });
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/users/refresh', validate(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, JWT_SECRET);
+  } catch (err) {
+    throw new AppError(401, 'Invalid or expired refresh token');
+  }
+  if (payload.type !== 'refresh') throw new AppError(401, 'Invalid or expired refresh token');
+
+  const user = await User.findById(payload.sub);
+  if (!user || user.tokenVersion !== payload.ver) {
+    throw new AppError(401, 'Refresh token revoked');
+  }
+
+  res.json(issueTokens(user));
+});
+
+// The caller's account and the groups they belong to
+app.get('/users/me', authenticate, async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+
+  const groups = await Group.find({ members: user._id, deletedAt: null }, 'name baseCurrency creator archivedAt').lean();
+  res.json({ user, groups });
+});
+
+// Update the caller's profile
+// body: any of { displayName, email, phone } (null clears email / phone)
+app.patch('/users/me', authenticate, validate(schemas.updateMe), async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+
+  const { displayName, email, phone } = req.body;
+  if (displayName !== undefined) user.displayName = displayName;
+  if (email !== undefined) user.email = email || undefined;
+  if (phone !== undefined) user.phone = phone || undefined;
+
+  try {
+    await user.save();
+  } catch (err) {
+    if (err.code === 11000) throw new AppError(409, 'Email already in use', { code: 'EMAIL_TAKEN' });
+    throw err;
+  }
+  res.json({ user });
+});
+
+// One-time code (valid 10 minutes) to link another device to the caller's account
+app.post('/users/pairing-code', authenticate, async (req, res) => {
+  const pairingCodeExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
+  for (let attempt = 1; ; attempt++) {
+    const pairingCode = crypto.randomInt(0, 1e8).toString().padStart(8, '0');
+    try {
+      await User.updateOne({ _id: req.userId }, { pairingCode, pairingCodeExpiresAt });
+      return res.json({ pairingCode, pairingCodeExpiresAt });
+    } catch (err) {
+      if (err.code !== 11000 || attempt === 5) throw err; // 11000: code held by another account
+      // Codes stay unique while stored; an expired one left behind is cleared so it can be reissued
+      await User.updateOne({ pairingCode, pairingCodeExpiresAt: { $lte: new Date() } }, { $unset: { pairingCode: 1, pairingCodeExpiresAt: 1 } });
+    }
+  }
+});
+
+// Link the calling (new) device using a pairing code; signs it in
+// body: { pairingCode, androidId, deviceName? }
+app.post('/users/link-device', linkDeviceRateLimit, validate(schemas.linkDevice), async (req, res) => {
+  const { pairingCode, androidId, deviceName } = req.body;
+
+  // Claim the code atomically so it can only be used once
+  const user = await User.findOneAndUpdate(
+    { pairingCode, pairingCodeExpiresAt: { $gt: new Date() } },
+    { $unset: { pairingCode: 1, pairingCodeExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!user) throw new AppError(400, 'Invalid or expired pairing code');
+
+  if (user.devices.some(d => d.androidId === androidId)) {
+    return res.json({ user, ...issueTokens(user) });
+  }
+  if (await User.exists({ 'devices.androidId': androidId })) {
+    throw new AppError(409, 'This device is linked to another account; unlink it there first');
+  }
+
+  user.devices.push({ androidId, deviceName });
+  await user.save();
+  res.json({ user, ...issueTokens(user) });
+});
+
+// Unlink one of the caller's devices (an account keeps at least one)
+app.delete('/users/me/devices/:androidId', authenticate, validate(schemas.unlinkDevice), async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+  if (!user.devices.some(d => d.androidId === req.params.androidId)) {
+    throw new AppError(404, 'Device not found');
+  }
+  if (user.devices.length === 1) {
+    throw new AppError(400, 'Cannot unlink the only device');
+  }
+
+  user.devices = user.devices.filter(d => d.androidId !== req.params.androidId);
+  await user.save();
+  res.json({ user });
+});
+
+// The caller's reminder preferences
+app.get('/users/me/notifications', authenticate, async (req, res) => {
+  const user = await User.findById(req.userId, 'notifications');
+  if (!user) throw new AppError(404, 'User not found');
+  res.json({ notifications: user.notifications });
+});
+
+// Update reminder preferences
+// body: any of { optOut, digest, quietHours: { start: 'HH:MM', end: 'HH:MM' } | null, timezone }
+app.patch('/users/me/notifications', authenticate, validate(schemas.notificationSettings), async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+
+  const { optOut, digest, quietHours, timezone } = req.body;
+  if (optOut !== undefined) user.notifications.optOut = optOut;
+  if (digest !== undefined) user.notifications.digest = digest;
+  if (quietHours !== undefined) user.notifications.quietHours = quietHours || { start: undefined, end: undefined };
+  if (timezone !== undefined) user.notifications.timezone = timezone;
+  await user.save();
+  res.json({ notifications: user.notifications });
+});
+
+// Reminders the caller has received, newest first
+// query: cursor?, limit? (1-100, default 30)
+app.get('/users/me/reminders', authenticate, validate(schemas.myReminders), async (req, res) => {
+  res.json(await listPage(Reminder, { userId: req.userId }, req.query));
+});
+
+// Everything stored about the caller, as a JSON download: account, groups, expenses and
+// settlements they took part in, recurring expenses, activity and reminders
+app.get('/users/:id/export', authenticate, validate(schemas.user), async (req, res) => {
+  if (req.params.id !== req.userId) throw new AppError(403, 'You can only export your own data');
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+  const userId = user._id;
+
+  const groups = await Group.find({
+    $or: [{ members: userId }, { joinRequests: userId }, { 'departedMembers.user': userId }]
+  }).lean();
+  const expenses = await Expense.find({
+    $or: [{ addedBy: userId }, { paidBy: userId }, { 'splits.user': userId }, { approvals: userId }, { rejections: userId }]
+  }).select('-receipts.key').sort({ createdAt: 1 }).lean();
+  const settlements = await Settlement.find({ $or: [{ from: userId }, { to: userId }, { addedBy: userId }] })
+    .sort({ createdAt: 1 }).lean();
+  const recurringExpenses = await RecurringExpense.find({ $or: [{ createdBy: userId }, { paidBy: userId }] }).lean();
+  const activity = await Activity.find({ $or: [{ actor: userId }, { subject: userId }] }).sort({ createdAt: 1 }).lean();
+  const reminders = await Reminder.find({ $or: [{ userId }, { senderId: userId }] }).sort({ createdAt: 1 }).lean();
+
+  res.attachment(`splitease-user-${userId}.json`);
+  res.json({
+    exportedAt: new Date(),
+    user: user.toJSON(),
+    groups: groups.map(g => ({
+      _id: g._id,
+      name: g.name,
+      baseCurrency: g.baseCurrency,
+      role: memberRole(g, userId),
+      joinRequested: g.joinRequests.map(String).includes(String(userId)),
+      leftAt: (g.departedMembers.filter(d => String(d.user) === String(userId)).pop() || {}).at,
+      archivedAt: g.archivedAt,
+      deletedAt: g.deletedAt,
+      createdAt: g.createdAt
+    })),
+    expenses,
+    settlements,
+    recurringExpenses,
+    activity,
+    reminders
+  });
+});
+
+// Erase the caller's account. Name, contact details and devices are wiped and sessions revoked.
+// Expenses and settlements keep pointing at the (now anonymous) user so other members' balances
+// don't change: the user leaves groups where they're settled up, stays in the ledger as a former
+// member (no vote) where money is still open, and groups where they're the only member are deleted.
+app.delete('/users/:id', authenticate, validate(schemas.user), async (req, res) => {
+  if (req.params.id !== req.userId) throw new AppError(403, 'You can only delete your own account');
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+  const userId = user._id;
+
+  const groups = await Group.find({ members: userId });
+  for (const group of groups) {
+    if (group.members.length === 1) {
+      if (!group.deletedAt) {
+        group.deletedAt = new Date();
+        group.deletedBy = userId;
+        await pauseRecurring(group._id, 'Group deleted');
+      }
+    } else if (!(await groupNetBalances(group))[String(userId)]) {
+      dropMember(group, userId);
+      handOverCreator(group, userId);
+      io.to(String(group._id)).emit('memberLeft', { groupId: group._id, userId });
+      await recordActivity(group._id, { actor: userId, type: 'member.left', subject: userId });
+    } else {
+      // Money is still open: out of the vote, kept in the ledger
+      dropMember(group, userId);
+      handOverCreator(group, userId);
+      group.formerMembers.push(userId);
+    }
+    await group.save();
+    if (!group.deletedAt) await releaseApprovalSeat(group, userId);
+  }
+  await Group.updateMany({ joinRequests: userId }, { $pull: { joinRequests: userId } });
+
+  // Drops the user out of every room, including groups they stay in as a ledger entry
+  const sockets = await io.fetchSockets();
+  sockets.filter(s => s.data.userId === String(userId)).forEach(s => s.disconnect(true));
+
+  user.displayName = 'Deleted user';
+  user.email = undefined;
+  user.phone = undefined;
+  user.devices = [];
+  user.pairingCode = undefined;
+  user.pairingCodeExpiresAt = undefined;
+  user.notifications = { optOut: true, digest: false };
+  user.tokenVersion += 1;
+  user.erasedAt = new Date();
+  await user.save();
+  // Pre-account fields from before devices were linked
+  await User.collection.updateOne({ _id: userId }, { $unset: { androidId: 1, deviceName: 1, groupId: 1 } });
+
+  // Nudges they sent carry their name and message
+  await Reminder.deleteMany({ $or: [{ userId }, { senderId: userId }] });
+  await ActivityRead.deleteMany({ userId });
+  await IdempotencyKey.deleteMany({ userId });
+
+  res.json({ message: 'Account deleted' });
+});
+
+// Revoke all refresh tokens of the caller
+app.post('/users/logout', authenticate, async (req, res) => {
+  await User.updateOne({ _id: req.userId }, { $inc: { tokenVersion: 1 } });
+  res.json({ message: 'Logged out' });
+});
+
+
+
+// Create group
+app.post('/groups', authenticate, validate(schemas.createGroup), async (req, res) => {
+  const { name, baseCurrency } = req.body;
+
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+
+  const joinCode = newJoinCode();
+  const group = new Group({ name, joinCode, baseCurrency, creator: user._id, members: [user._id], minorUnits: true });
+  await group.save();
+
+  await recordActivity(group._id, { actor: user._id, type: 'group.created', data: { name: group.name } });
+
+  const populated = await Group.findById(group._id).populate('members', 'displayName').lean();
+  return res.json({ group: populated, user });
+});
+
+
+// Join group (creates user & adds join request)
+app.post('/groups/join', authenticate, validate(schemas.joinGroup), idempotent, async (req, res) => {
+  const { joinCode } = req.body;
+
+  const group = await Group.findOne({ joinCode, deletedAt: null });
+  if (!group) throw new AppError(404, 'Group not found');
+  if (group.archivedAt) throw new AppError(409, 'This group is archived and read-only', { code: 'GROUP_ARCHIVED' });
+  if (group.joinCodeExpiresAt && group.joinCodeExpiresAt < new Date()) {
+    throw new AppError(410, 'Join code expired', { code: 'JOIN_CODE_EXPIRED' });
+  }
+
+  const user = await User.findById(req.userId);
+  if (!user) throw new AppError(404, 'User not found');
+
+  // Only add to joinRequests if not already in group
+  if (!group.members.includes(user._id) && !group.joinRequests.includes(user._id)) {
+    group.joinRequests.push(user._id);
+    await group.save();
+
+    io.to(String(group._id)).emit('joinRequest', {
+      groupId: group._id,
+      user: { id: user._id, displayName: user.displayName }
+    });
+    await recordActivity(group._id, { actor: user._id, type: 'member.join_requested', subject: user._id });
+  }
+
+  return res.json({ message: 'Join request sent', user });
+});
+
+// Approve join request (creator / admins)
+// body: { groupId, userId (requester) }
+app.post('/groups/approve-join', authenticate, validate(schemas.memberAction), requireMember(req => req.body.groupId), requireRole('creator', 'admin'), async (req, res) => {
+  const { userId } = req.body;
+  const group = req.group;
+  if (!group.joinRequests.map(String).includes(String(userId))) {
+    throw new AppError(404, 'No pending join request for this user');
+  }
+
+  if (!group.members.includes(userId)) {
+    group.members.push(userId);
+  }
+  group.joinRequests = group.joinRequests.filter(u => String(u) !== String(userId));
+  await group.save();
+
+  const user = await User.findById(userId, 'displayName');
+  if (user) {
+    io.to(String(group._id)).emit('memberApproved', {
+      groupId: group._id,
+      user: { id: user._id, displayName: user.displayName }
+    });
+  }
+  await recordActivity(group._id, { actor: req.userId, type: 'member.approved', subject: userId });
+  return res.json({ message: 'User added to members', user });
+});
+
+// Reject join request (creator / admins)
+// body: { groupId, userId (requester) }
+app.post('/groups/reject-join', authenticate, validate(schemas.memberAction), requireMember(req => req.body.groupId), requireRole('creator', 'admin'), async (req, res) => {
+  const { userId } = req.body;
+  const group = req.group;
+  if (!group.joinRequests.map(String).includes(String(userId))) {
+    throw new AppError(404, 'No pending join request for this user');
+  }
+
+  group.joinRequests = group.joinRequests.filter(u => String(u) !== String(userId));
+  await group.save();
+
+  io.to(String(group._id)).emit('joinRejected', { groupId: group._id, userId });
+  await recordActivity(group._id, { actor: req.userId, type: 'member.rejected', subject: userId });
+  return res.json({ message: 'Join request rejected' });
+});
+
+// Remove a member who is settled up. The creator removes anyone, admins remove plain members;
+// other members cast a vote and the member is removed once a majority agrees.
+// body: { groupId, userId (member to remove) }
+app.post('/groups/remove-member', authenticate, validate(schemas.memberAction), requireMember(req => req.body.groupId), async (req, res) => {
+  const { userId } = req.body;
+  const group = req.group;
+  const targetRole = memberRole(group, userId);
+  if (!targetRole) throw new AppError(404, 'User is not a member');
+  if (targetRole === 'creator') throw new AppError(403, 'The creator cannot be removed');
+  if (String(userId) === req.userId) throw new AppError(400, 'Use /groups/leave to leave a group');
+  // Same rule as leaving: balances only cover members, so an open one would drop out of them
+  const net = await groupNetBalances(group);
+  if (net[String(userId)]) {
+    throw new AppError(409, 'This member has to settle up before they can be removed', {
+      code: 'UNSETTLED_BALANCE', details: { balance: net[String(userId)] }
+    });
+  }
+
+  const callerRole = memberRole(group, req.userId);
+  let removed = callerRole === 'creator' || (callerRole === 'admin' && targetRole === 'member');
+
+  if (!removed) {
+    let vote = group.removalVotes.find(v => String(v.target) === String(userId));
+    if (!vote) {
+      group.removalVotes.push({ target: userId, votes: [] });
+      vote = group.removalVotes[group.removalVotes.length - 1];
+    }
+    if (!vote.votes.map(String).includes(req.userId)) vote.votes.push(req.userId);
+    // The member being voted on doesn't count towards the majority
+    removed = vote.votes.length >= approvalThreshold(group.members.length - 1);
+  }
+
+  if (removed) dropMember(group, userId);
+  await group.save();
+
+  if (removed) {
+    io.to(String(group._id)).emit('memberRemoved', { groupId: group._id, userId });
+    await removeFromRoom(group._id, userId);
+    await recordActivity(group._id, { actor: req.userId, type: 'member.removed', subject: userId });
+    return res.json({ message: 'Member removed', removed: true });
+  }
+  const votes = group.removalVotes.find(v => String(v.target) === String(userId)).votes.length;
+  return res.json({
+    message: 'Removal vote recorded',
+    removed: false,
+    votes,
+    required: approvalThreshold(group.members.length - 1)
+  });
+});
+
+// Leave a group; refused while the caller still owes or is owed money.
+// A leaving creator hands the group to the first admin, else the longest-standing member.
+// body: { groupId }
+app.post('/groups/leave', authenticate, validate(schemas.leaveGroup), requireMember(req => req.body.groupId), async (req, res) => {
+  const group = req.group;
+  const net = await groupNetBalances(group);
+  if (net[req.userId]) {
+    throw new AppError(409, 'Settle your balance before leaving', {
+      code: 'UNSETTLED_BALANCE', details: { balance: net[req.userId] }
+    });
+  }
+
+  dropMember(group, req.userId);
+  handOverCreator(group, req.userId);
+  await group.save();
+
+  io.to(String(group._id)).emit('memberLeft', { groupId: group._id, userId: req.userId });
+  await removeFromRoom(group._id, req.userId);
+  await recordActivity(group._id, { actor: req.userId, type: 'member.left', subject: req.userId });
+  return res.json({ message: 'Left group' });
+});
+
+// Promote a member to admin or demote back to member (creator only)
+// body: { groupId, userId, role: 'admin' | 'member' }
+app.post('/groups/set-role', authenticate, validate(schemas.setRole), requireMember(req => req.body.groupId), requireRole('creator'), async (req, res) => {
+  const { userId, role } = req.body;
+  const group = req.group;
+
+  const current = memberRole(group, userId);
+  if (!current) throw new AppError(404, 'User is not a member');
+  if (current === 'creator') throw new AppError(400, 'Cannot change the creator role');
+
+  group.admins = group.admins.filter(u => String(u) !== String(userId));
+  if (role === 'admin') group.admins.push(userId);
+  await group.save();
+
+  return res.json({ message: 'Role updated', userId, role });
+});
+
+// Change how expenses get approved (creator / admins); pending expenses are re-checked
+// body: { mode, count?, amount? }
+app.put('/groups/:id/approval-policy', authenticate, validate(schemas.approvalPolicy), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const { mode, count, amount } = req.body;
+  const group = req.group;
+  group.approvalPolicy = { mode, count, amount };
+  await group.save();
+
+  const pending = await Expense.find({
+    groupId: group._id, approved: false, rejected: { $ne: true }, deleted: { $ne: true }
+  });
+  let approvedCount = 0;
+  for (const expense of pending) {
+    refreshApprovalState(expense, group);
+    if (!expense.isModified()) continue;
+    await expense.save();
+
+    const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+    io.to(String(group._id)).emit('expenseUpdated', { expense: populated });
+    if (populated.approved) {
+      approvedCount++;
+      io.to(String(group._id)).emit('expenseApproved', { expense: populated });
+      await recordActivity(group._id, { type: 'expense.approved', expenseId: expense._id, data: expenseSummary(expense) });
+    }
+  }
+
+  return res.json({ approvalPolicy: group.approvalPolicy, approvedCount });
+});
+
+// Replace the join code, invalidating the old one (creator / admins)
+// body: { groupId, expiresInHours? }
+app.post('/groups/regenerate-join-code', authenticate, validate(schemas.regenerateJoinCode), requireMember(req => req.body.groupId), requireRole('creator', 'admin'), async (req, res) => {
+  const { expiresInHours } = req.body;
+  const group = req.group;
+  group.joinCode = newJoinCode();
+  group.joinCodeExpiresAt = expiresInHours
+    ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    : undefined;
+  await group.save();
+
+  return res.json({ joinCode: group.joinCode, joinCodeExpiresAt: group.joinCodeExpiresAt });
+});
+
+// Archive a finished group: it becomes read-only, drops out of GET /groups and its recurring
+// expenses are paused (creator / admins)
+app.post('/groups/:id/archive', authenticate, validate(schemas.group), requireMember(req => req.params.id, undefined, { allowArchived: true }), requireRole('creator', 'admin'), async (req, res) => {
+  const group = req.group;
+  if (group.archivedAt) throw new AppError(409, 'Group is already archived');
+
+  group.archivedAt = new Date();
+  group.archivedBy = req.userId;
+  await group.save();
+  await pauseRecurring(group._id, 'Group archived');
+
+  io.to(String(group._id)).emit('groupArchived', { groupId: group._id, archivedAt: group.archivedAt });
+  await recordActivity(group._id, { actor: req.userId, type: 'group.archived' });
+  return res.json({ message: 'Group archived', archivedAt: group.archivedAt });
+});
+
+// Make an archived group writable again (creator / admins); paused recurring expenses stay paused
+app.post('/groups/:id/unarchive', authenticate, validate(schemas.group), requireMember(req => req.params.id, undefined, { allowArchived: true }), requireRole('creator', 'admin'), async (req, res) => {
+  const group = req.group;
+  if (!group.archivedAt) throw new AppError(409, 'Group is not archived');
+
+  group.archivedAt = undefined;
+  group.archivedBy = undefined;
+  await group.save();
+
+  io.to(String(group._id)).emit('groupUnarchived', { groupId: group._id });
+  await recordActivity(group._id, { actor: req.userId, type: 'group.unarchived' });
+  return res.json({ message: 'Group unarchived' });
+});
+
+// Delete a group (creator only). It can be restored for GROUP_RESTORE_DAYS, after which it is
+// purged along with its expenses, settlements, receipts and activity.
+app.delete('/groups/:id', authenticate, validate(schemas.group), requireMember(req => req.params.id, undefined, { allowArchived: true }), requireRole('creator'), async (req, res) => {
+  const group = req.group;
+  group.deletedAt = new Date();
+  group.deletedBy = req.userId;
+  await group.save();
+  await pauseRecurring(group._id, 'Group deleted');
+
+  const restoreUntil = restoreDeadline(group);
+  io.to(String(group._id)).emit('groupDeleted', { groupId: group._id, restoreUntil });
+  await recordActivity(group._id, { actor: req.userId, type: 'group.deleted' });
+  return res.json({ message: 'Group deleted', restoreUntil });
+});
+
+// Undo a group deletion within the restore window (creator only)
+app.post('/groups/:id/restore', authenticate, validate(schemas.group), requireMember(req => req.params.id, undefined, { allowArchived: true, allowDeleted: true }), requireRole('creator'), async (req, res) => {
+  const group = req.group;
+  if (!group.deletedAt) throw new AppError(409, 'Group is not deleted');
+  if (restoreDeadline(group) < new Date()) {
+    throw new AppError(410, 'The restore window has passed', { code: 'RESTORE_EXPIRED' });
+  }
+
+  group.deletedAt = undefined;
+  group.deletedBy = undefined;
+  await group.save();
+
+  io.to(String(group._id)).emit('groupRestored', { groupId: group._id });
+  await recordActivity(group._id, { actor: req.userId, type: 'group.restored' });
+  return res.json({ message: 'Group restored' });
+});
+
+// Get group details
+app.get('/groups/:id', authenticate, validate(schemas.group), requireMember(req => req.params.id), async (req, res) => {
+  const group = await Group.findById(req.params.id)
+    .populate('members', 'displayName')
+    .populate('joinRequests', 'displayName')
+    .lean();
+  if (!group) throw new AppError(404, 'Group not found');
+
+  const expenses = await Expense.find({ groupId: group._id, deleted: { $ne: true } })
+    .populate('addedBy', 'displayName')
+    .populate('paidBy', 'displayName')
+    .lean();
+  const settlements = await Settlement.find({ groupId: group._id })
+    .populate('from', 'displayName')
+    .populate('to', 'displayName')
+    .lean();
+
+  return res.json({
+    ...group,
+    expenses: expenses.map(e => withCurrency(e, group.baseCurrency)),
+    settlements
+  });
+});
+
+// Group balances + simplified settle-up transfers
+app.get('/groups/:id/balances', authenticate, validate(schemas.group), requireMember(req => req.params.id), async (req, res) => {
+  const group = await Group.findById(req.params.id)
+    .populate('members', 'displayName')
+    .populate('formerMembers', 'displayName')
+    .lean();
+  if (!group) throw new AppError(404, 'Group not found');
+
+  const net = await groupNetBalances(group);
+
+  const balances = ledgerMembers(group).map(m => ({
+    userId: m._id,
+    displayName: m.displayName,
+    net: net[idOf(m)] || 0,
+    ...(group.members.includes(m) ? {} : { former: true })
+  }));
+
+  return res.json({
+    groupId: group._id,
+    currency: group.baseCurrency,
+    balances,
+    transfers: simplifyDebts(net)
+  });
+});
+
+// Page through a group's expenses, newest first
+// query: cursor?, limit? (1-100, default 20), from?, to? (createdAt range), status? (pending|approved|rejected),
+//        addedBy?, paidBy?, minAmount?, maxAmount? (base currency), q? (description search)
+app.get('/groups/:id/expenses', authenticate, validate(schemas.groupExpenses), requireMember(req => req.params.id), async (req, res) => {
+  const { cursor, limit, from, to, status, addedBy, paidBy, minAmount, maxAmount, q } = req.query;
+  const filter = { groupId: req.group._id, deleted: { $ne: true } };
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (status === 'approved') filter.approved = true;
+  else if (status === 'rejected') filter.rejected = true;
+  else if (status === 'pending') Object.assign(filter, { approved: false, rejected: { $ne: true } });
+  if (addedBy) filter.addedBy = addedBy;
+  if (paidBy) filter.paidBy = paidBy;
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = minAmount;
+    if (maxAmount !== undefined) filter.amount.$lte = maxAmount;
+  }
+  if (q) filter.description = { $regex: escapeRegex(q), $options: 'i' };
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) throw new AppError(400, 'Invalid cursor');
+    filter.$or = [
+      { createdAt: { $lt: after.createdAt } },
+      { createdAt: after.createdAt, _id: { $lt: after._id } }
+    ];
+  }
+
+  const page = await Expense.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('addedBy', 'displayName')
+    .populate('paidBy', 'displayName')
+    .lean();
+  const hasMore = page.length > limit;
+  const expenses = page.slice(0, limit);
+
+  return res.json({
+    expenses: expenses.map(e => withCurrency(e, req.group.baseCurrency)),
+    nextCursor: hasMore ? encodeCursor(expenses[expenses.length - 1]) : null
+  });
+});
+
+// Built-in + group categories
+app.get('/groups/:id/categories', authenticate, validate(schemas.group), requireMember(req => req.params.id), async (req, res) => {
+  return res.json(groupCategories(req.group).map(c => ({ ...c, builtIn: BUILT_IN_CATEGORIES.includes(c) })));
+});
+
+// Add or update a group category (creator / admins)
+// body: { name, key?, keywords?: [String] }
+app.post('/groups/:id/categories', authenticate, validate(schemas.addCategory), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const { name, keywords } = req.body;
+  const key = req.body.key || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  // Names without Latin letters or digits leave nothing to derive a key from
+  if (!CATEGORY_KEY.test(key)) {
+    throw new AppError(400, 'Could not derive a key from this name; send a key (lowercase letters, digits and dashes)', { code: 'CATEGORY_KEY_REQUIRED' });
+  }
+  if (BUILT_IN_CATEGORIES.some(c => c.key === key)) {
+    throw new AppError(409, `${key} is a built-in category`);
+  }
+
+  const group = req.group;
+  const category = { key, name, keywords: keywords.map(k => k.toLowerCase()) };
+  const index = group.categories.findIndex(c => c.key === key);
+  if (index === -1) group.categories.push(category);
+  else group.categories.set(index, category);
+  await group.save();
+
+  return res.json({ category });
+});
+
+// Remove a group category (creator / admins); its expenses fall back to 'other'
+app.delete('/groups/:id/categories/:key', authenticate, validate(schemas.removeCategory), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const group = req.group;
+  const { key } = req.params;
+  if (!group.categories.some(c => c.key === key)) {
+    throw new AppError(404, 'Category not found');
+  }
+
+  group.categories = group.categories.filter(c => c.key !== key);
+  await group.save();
+  const { modifiedCount } = await Expense.updateMany({ groupId: group._id, category: key }, { category: 'other' });
+
+  return res.json({ message: 'Category removed', expensesMoved: modifiedCount });
+});
+
+// Spending analytics over approved expenses (base currency)
+// query: from?, to? (createdAt range)
+app.get('/groups/:id/stats', authenticate, validate(schemas.stats), requireMember(req => req.params.id), async (req, res) => {
+  return res.json(await groupStats(req.group, req.query));
+});
+
+// A member's statement: what they paid, their share of each approved expense, settlements
+// and opening / closing balance. Former members' statements stay available.
+// query: from?, to? (createdAt range), format? (html|pdf, default html)
+app.get('/groups/:id/statements/:userId', authenticate, validate(schemas.statement), requireMember(req => req.params.id), async (req, res) => {
+  const group = req.group;
+  const { userId } = req.params;
+  const names = await memberNames(group);
+  if (!names[userId]) throw new AppError(404, 'User is not part of this group');
+
+  const statement = await buildStatement(group, userId, req.query);
+  const doc = statementDocument(group, userId, statement, names, req.query);
+  return sendDocument(res, doc, req.query.format, `${group.name}-statement-${names[userId]}`);
+});
+
+// Group-wide summary report
+// query: from?, to? (createdAt range), format? (html|pdf, default html)
+app.get('/groups/:id/report', authenticate, validate(schemas.report), requireMember(req => req.params.id), async (req, res) => {
+  const doc = await groupReportDocument(req.group, req.query);
+  return sendDocument(res, doc, req.query.format, `${req.group.name}-summary`);
+});
+
+// Export a group's ledger as CSV (one column per member with their share) or JSON.
+// CSV amounts are decimals for spreadsheets; JSON keeps the API's minor units.
+// Both are streamed so large groups don't have to fit in memory.
+app.get('/groups/:id/export', authenticate, validate(schemas.exportGroup), requireMember(req => req.params.id), async (req, res) => {
+  const { format } = req.query;
+  const group = await Group.findById(req.params.id).populate('members', 'displayName').lean();
+  const names = Object.fromEntries(group.members.map(m => [String(m._id), m.displayName]));
+  const nameOf = ref => names[idOf(ref)] || idOf(ref);
+  const cursor = Expense.find({ groupId: group._id, deleted: { $ne: true } }).sort({ createdAt: 1 }).lean().cursor();
+  const filename = `${group.name.replace(/[^\w-]+/g, '_')}-${Date.now()}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.write(csvRow([
+      'Expense ID', 'Date', 'Description', 'Category', 'Amount', 'Currency', 'Original Amount', 'Original Currency',
+      'Paid By', 'Added By', 'Approved', 'Approvals', ...group.members.map(m => m.displayName)
+    ]));
+    for await (const e of cursor) {
+      const expense = withCurrency(e, group.baseCurrency);
+      const owed = Object.fromEntries(effectiveSplits(expense, group.members).map(s => [idOf(s.user), s.amount]));
+      res.write(csvRow([
+        expense._id,
+        expense.createdAt.toISOString(),
+        expense.description,
+        expense.category || 'other',
+        formatMinor(expense.amount, group.baseCurrency),
+        group.baseCurrency,
+        formatMinor(expense.originalAmount, expense.currency),
+        expense.currency,
+        nameOf(expense.paidBy || expense.addedBy),
+        nameOf(expense.addedBy),
+        expense.approved ? 'yes' : 'no',
+        expense.approvals.map(nameOf).join('; '),
+        ...group.members.map(m => formatMinor(owed[String(m._id)] || 0, group.baseCurrency))
+      ]));
+    }
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.write(JSON.stringify({
+    format: 'splitease',
+    version: 2, // 2: amounts in minor units
+    exportedAt: new Date(),
+    group: { id: group._id, name: group.name, baseCurrency: group.baseCurrency, createdAt: group.createdAt },
+    members: group.members.map(m => ({ id: m._id, displayName: m.displayName }))
+  }).slice(0, -1) + ',"expenses":[');
+  let first = true;
+  for await (const e of cursor) {
+    const expense = withCurrency(e, group.baseCurrency);
+    res.write((first ? '' : ',') + JSON.stringify({
+      id: expense._id,
+      createdAt: expense.createdAt,
+      description: expense.description,
+      category: expense.category || 'other',
+      amount: expense.amount,
+      currency: expense.currency,
+      originalAmount: expense.originalAmount,
+      exchangeRate: expense.exchangeRate,
+      paidBy: expense.paidBy || expense.addedBy,
+      addedBy: expense.addedBy,
+      splitType: expense.splitType || 'equal',
+      splits: effectiveSplits(expense, group.members).map(s => ({ user: idOf(s.user), amount: s.amount })),
+      approvals: expense.approvals,
+      approved: expense.approved
+    }));
+    first = false;
+  }
+  return res.end(']}');
+});
+
+// Import a Splitwise CSV export (Content-Type: text/csv) or a SplitEase JSON export
+// (creator / admins). Members are matched by id or display name and created when missing.
+// ?dryRun=true validates everything and reports what would happen without writing.
+app.post('/groups/:id/import',
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  authenticate, validate(schemas.importGroup), requireMember(req => req.params.id), requireRole('creator', 'admin'),
+  async (req, res) => {
+    const { dryRun } = req.query;
+    const group = req.group;
+    const isCsv = typeof req.body === 'string';
+    if (!isCsv && (!req.body || req.body.format !== 'splitease')) {
+      throw new AppError(400, 'Send a Splitwise CSV as text/csv or a SplitEase JSON export');
+    }
+
+    const parsed = isCsv ? parseSplitwiseCsv(req.body, group.baseCurrency) : parseSpliteaseExport(req.body);
+    const rejected = [...parsed.rejected];
+
+    // Match member names/ids to group members; create placeholder users for the rest
+    const memberDocs = await User.find({ _id: { $in: group.members } }).lean();
+    const byName = new Map(memberDocs.map(u => [u.displayName.trim().toLowerCase(), String(u._id)]));
+    const memberIds = new Set(memberDocs.map(u => String(u._id)));
+    const resolved = new Map();
+    const membersCreated = [];
+    for (const person of parsed.people) {
+      const match = (person.id && memberIds.has(String(person.id)) && String(person.id))
+        || byName.get(person.name.trim().toLowerCase());
+      if (match) {
+        resolved.set(person.key, match);
+        continue;
+      }
+      const user = dryRun
+        ? { _id: new mongoose.Types.ObjectId() }
+        : await User.create({ displayName: person.name });
+      group.members.push(user._id);
+      byName.set(person.name.trim().toLowerCase(), String(user._id));
+      resolved.set(person.key, String(user._id));
+      membersCreated.push(person.name);
+    }
+
+    let expensesCreated = 0;
+    let settlementsCreated = 0;
+    for (const item of parsed.items) {
+      const who = key => resolved.get(key);
+
+      if (item.type === 'settlement') {
+        // Settlements are stored in the base currency, converted like expense amounts
+        let amount = item.amount;
+        if (item.currency !== group.baseCurrency) {
+          const rate = await resolveRate(item.currency, group.baseCurrency, group._id);
+          if (!rate) {
+            rejected.push({ row: item.row, reason: `No exchange rate for ${item.currency} -> ${group.baseCurrency}` });
+            continue;
+          }
+          amount = convertMinor(item.amount, rate, item.currency, group.baseCurrency);
+          if (amount <= 0) {
+            rejected.push({ row: item.row, reason: 'amount is too small to convert' });
+            continue;
+          }
+        }
+        if (!dryRun) {
+          await saveBackdated(new Settlement({
+            groupId: group._id, from: who(item.from), to: who(item.to), addedBy: req.userId,
+            amount, minorUnits: true, note: item.description, approvals: [req.userId], approved: true,
+            createdAt: item.date
+          }));
+        }
+        settlementsCreated++;
+        continue;
+      }
+
+      const amounts = await resolveExpenseAmounts(group, {
+        paidBy: who(item.paidBy),
+        amount: item.amount,
+        currency: item.currency,
+        splitType: item.splitType,
+        splits: item.splits.map(s => ({ user: who(s.user), value: s.value }))
+      }, { saveRate: false });
+      if (amounts.error) {
+        rejected.push({ row: item.row, reason: amounts.error });
+        continue;
+      }
+
+      if (!dryRun) {
+        const approvals = (item.approvals || []).map(who).filter(Boolean);
+        await saveBackdated(new Expense({
+          groupId: group._id,
+          addedBy: who(item.addedBy) || req.userId,
+          description: item.description,
+          category: groupCategories(group).some(c => c.key === item.category)
+            ? item.category
+            : guessCategory(`${item.categoryHint || ''} ${item.description}`, group),
+          ...amounts.fields,
+          memberCount: group.members.length,
+          approvals,
+          approved: item.approved,
+          history: [{ action: 'created', by: req.userId }],
+          createdAt: item.date
+        }));
+        // Imports don't write activity, which is what counts other expenses
+        metrics.expensesCreated.inc();
+      }
+      expensesCreated++;
+    }
+
+    if (!dryRun && membersCreated.length) await group.save();
+
+    return res.json({ dryRun, expensesCreated, settlementsCreated, membersCreated, rejected });
+  });
+
+// Add expense
+app.post('/expenses', authenticate, validate(schemas.addExpense), idempotent, requireMember(req => req.body.groupId), async (req, res) => {
+  // splits: [{ user, value }] or participants: [userId]; both default to every member.
+  // currency defaults to the group's base currency; exchangeRate overrides the stored table.
+  // clientId: optional id generated by the app, makes offline retries safe.
+  const { clientId } = req.body;
+  const findExisting = () => Expense.findOne({ groupId: req.group._id, clientId })
+    .populate('addedBy', 'displayName').lean();
+  if (clientId) {
+    const existing = await findExisting();
+    if (existing) return res.json({ expense: existing });
+  }
+
+  let created;
+  try {
+    created = await createExpense(req.group, req.userId, req.body, clientId ? { clientId } : {});
+  } catch (err) {
+    // Lost a race with a concurrent retry of the same clientId
+    if (clientId && err.code === 11000) return res.json({ expense: await findExisting() });
+    throw err;
+  }
+  if (created.error) throw new AppError(400, created.error);
+  return res.json({ expense: created.expense });
+});
+
+// Approve expense
+app.post('/expenses/approve', authenticate, validate(schemas.expenseVote), idempotent, requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const expense = req.expense;
+  const userId = req.userId;
+  const wasApproved = expense.approved;
+  const isNewVote = !expense.approvals.map(String).includes(String(userId));
+
+  if (isNewVote) {
+    expense.approvals.push(userId);
+    expense.rejections = expense.rejections.filter(u => String(u) !== String(userId));
+    expense.history.push({ action: 'approved', by: userId });
+  }
+
+  refreshApprovalState(expense, req.group);
+
+  await expense.save();
+  const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+  io.to(String(expense.groupId)).emit('expenseUpdated', { expense: populated });
+  if (populated.approved) {
+    io.to(String(expense.groupId)).emit('expenseApproved', { expense: populated });
+  }
+  if (isNewVote) {
+    await recordActivity(expense.groupId, {
+      actor: userId, type: 'expense.approval', expenseId: expense._id, data: expenseSummary(expense)
+    });
+  }
+  if (populated.approved && !wasApproved) {
+    await recordActivity(expense.groupId, { type: 'expense.approved', expenseId: expense._id, data: expenseSummary(expense) });
+  }
+  return res.json({ expense: populated });
+});
+
+// Take back your own approval
+// body: { expenseId }
+app.post('/expenses/unapprove', authenticate, validate(schemas.expenseVote), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const expense = req.expense;
+  if (!expense.approvals.map(String).includes(req.userId)) {
+    throw new AppError(409, 'You have not approved this expense');
+  }
+
+  expense.approvals = expense.approvals.filter(u => String(u) !== req.userId);
+  expense.history.push({ action: 'unapproved', by: req.userId });
+  refreshApprovalState(expense, req.group);
+  await expense.save();
+
+  const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+  io.to(String(expense.groupId)).emit('expenseUpdated', { expense: populated });
+  return res.json({ expense: populated });
+});
+
+// Vote to reject an expense (replaces your approval); enough rejections mark it rejected.
+// body: { expenseId, undo? } - undo: true withdraws your rejection
+app.post('/expenses/reject', authenticate, validate(schemas.rejectExpense), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const { undo } = req.body;
+  const expense = req.expense;
+  const hasRejected = expense.rejections.map(String).includes(req.userId);
+
+  if (undo) {
+    if (!hasRejected) throw new AppError(409, 'You have not rejected this expense');
+    expense.rejections = expense.rejections.filter(u => String(u) !== req.userId);
+    expense.history.push({ action: 'unrejected', by: req.userId });
+  } else if (!hasRejected) {
+    expense.rejections.push(req.userId);
+    expense.approvals = expense.approvals.filter(u => String(u) !== req.userId);
+    expense.history.push({ action: 'rejected', by: req.userId });
+  }
+
+  refreshApprovalState(expense, req.group);
+  await expense.save();
+
+  const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+  io.to(String(expense.groupId)).emit('expenseUpdated', { expense: populated });
+  if (populated.rejected) {
+    io.to(String(expense.groupId)).emit('expenseRejected', { expense: populated });
+  }
+  if (!undo && !hasRejected) {
+    await recordActivity(expense.groupId, {
+      actor: req.userId, type: 'expense.rejected', expenseId: expense._id,
+      data: { ...expenseSummary(expense), rejected: expense.rejected }
+    });
+  }
+  return res.json({ expense: populated });
+});
+
+// Edit an expense (author / creator / admins). Any edit resets approvals and rejections.
+// Send baseUpdatedAt (the updatedAt the edit was based on) to get conflict detection, see /sync.
+// body: any of { baseUpdatedAt, description, category, amount, paidBy, splitType, splits, participants, currency, exchangeRate }
+app.put('/expenses/:id', authenticate, validate(schemas.editExpense), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const expense = req.expense;
+  const isAuthor = String(expense.addedBy) === req.userId;
+  if (!isAuthor && !['creator', 'admin'].includes(memberRole(req.group, req.userId))) {
+    throw new AppError(403, 'Only the author or a group admin can edit this expense');
+  }
+
+  const body = req.body;
+  if (body.baseUpdatedAt && expense.updatedAt > body.baseUpdatedAt) {
+    const current = await Expense.findById(expense._id).select('-history').lean();
+    throw new AppError(409, 'Expense changed since your copy; re-apply your edit', {
+      code: 'EDIT_CONFLICT', details: { expense: current }
+    });
+  }
+  const currency = body.currency || expense.currency;
+  const sameCurrency = !body.currency || body.currency === expense.currency;
+  // Keep the stored split definition and rate unless the edit replaces them
+  const storedSplits = expense.splits.length
+    ? expense.splits.map(s => ({ user: s.user, value: s.value }))
+    : undefined;
+
+  const resolved = await resolveExpenseAmounts(req.group, {
+    paidBy: body.paidBy || expense.paidBy || expense.addedBy,
+    amount: body.amount ?? expense.originalAmount ?? expense.amount,
+    splitType: body.splitType || expense.splitType,
+    splits: body.splits || (body.participants ? undefined : storedSplits),
+    participants: body.participants,
+    currency,
+    exchangeRate: body.exchangeRate ?? (sameCurrency ? expense.exchangeRate : undefined)
+  }, { saveRate: body.exchangeRate !== undefined });
+  if (resolved.error) throw new AppError(400, resolved.error);
+
+  if (body.category !== undefined && !groupCategories(req.group).some(c => c.key === body.category)) {
+    throw new AppError(400, `Unknown category ${body.category}`);
+  }
+
+  const before = snapshotExpense(expense);
+  if (body.description !== undefined) expense.description = body.description;
+  if (body.category !== undefined) expense.category = body.category;
+  Object.assign(expense, resolved.fields);
+  const changes = diffSnapshots(before, snapshotExpense(expense));
+  if (!changes.length) throw new AppError(400, 'Nothing to change');
+
+  expense.approvals = [];
+  expense.rejections = [];
+  expense.history.push({ action: 'edited', by: req.userId, changes });
+  refreshApprovalState(expense, req.group);
+  await expense.save();
+
+  const populated = await Expense.findById(expense._id).populate('addedBy', 'displayName').lean();
+  io.to(String(expense.groupId)).emit('expenseUpdated', { expense: populated });
+  await recordActivity(expense.groupId, {
+    actor: req.userId, type: 'expense.edited', expenseId: expense._id,
+    data: { ...expenseSummary(expense), fields: changes.map(c => c.field) }
+  });
+  return res.json({ expense: populated });
+});
+
+// Delete an expense (author / creator / admins); kept as a tombstone with its history
+app.delete('/expenses/:id', authenticate, validate(schemas.expense), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const expense = req.expense;
+  const isAuthor = String(expense.addedBy) === req.userId;
+  if (!isAuthor && !['creator', 'admin'].includes(memberRole(req.group, req.userId))) {
+    throw new AppError(403, 'Only the author or a group admin can delete this expense');
+  }
+
+  await deleteReceiptFiles(expense);
+  expense.deleted = true;
+  expense.deletedAt = new Date();
+  expense.history.push({ action: 'deleted', by: req.userId });
+  await expense.save();
+
+  io.to(String(expense.groupId)).emit('expenseDeleted', { groupId: expense.groupId, expenseId: expense._id });
+  await recordActivity(expense.groupId, {
+    actor: req.userId, type: 'expense.deleted', expenseId: expense._id, data: expenseSummary(expense)
+  });
+  return res.json({ message: 'Expense deleted' });
+});
+
+// Attach receipts (multipart, field "receipts": JPEG / PNG / WebP / HEIC / PDF)
+app.post('/expenses/:id/receipts', authenticate, validate(schemas.expense), requireMember(expenseGroup, 'Expense not found'), uploadReceipts, async (req, res) => {
+  const expense = req.expense;
+  const files = req.files || [];
+  if (!files.length) throw new AppError(400, 'No files uploaded');
+  if (expense.receipts.length + files.length > RECEIPT_MAX_FILES) {
+    throw new AppError(400, `An expense can have at most ${RECEIPT_MAX_FILES} receipts`);
+  }
+  const mismatch = files.find(f => !RECEIPT_TYPES[f.mimetype](f.buffer));
+  if (mismatch) {
+    throw new AppError(400, `${mismatch.originalname} is not a valid ${mismatch.mimetype} file`);
+  }
+
+  for (const file of files) {
+    const key = `${expense.groupId}/${expense._id}/${uuidv4()}`;
+    await receiptStorage.put(key, file.buffer);
+    expense.receipts.push({
+      key,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      uploadedBy: req.userId
+    });
+    expense.history.push({
+      action: 'receipt-added', by: req.userId, changes: [{ field: 'receipts', from: null, to: file.originalname }]
+    });
+  }
+  await expense.save();
+
+  io.to(String(expense.groupId)).emit('expenseUpdated', { expense: expense.toObject() });
+  return res.json({ receipts: expense.receipts });
+});
+
+// Download a receipt (group members only)
+app.get('/expenses/:id/receipts/:receiptId', authenticate, validate(schemas.receipt), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const receipt = req.expense.receipts.id(req.params.receiptId);
+  if (!receipt) throw new AppError(404, 'Receipt not found');
+
+  res.setHeader('Content-Type', receipt.mimeType);
+  res.setHeader('Content-Length', receipt.size);
+  res.setHeader('Content-Disposition', `inline; filename="${(receipt.filename || 'receipt').replace(/"/g, '')}"`);
+  res.setHeader('ETag', `"${receipt.sha256}"`);
+  receiptStorage.get(receipt.key)
+    .on('error', err => {
+      req.log.error('Receipt read error', { err });
+      if (!res.headersSent) res.status(404).json({ code: 'NOT_FOUND', message: 'Receipt file missing' });
+      else res.end();
+    })
+    .pipe(res);
+});
+
+// Remove a receipt (its uploader / creator / admins)
+app.delete('/expenses/:id/receipts/:receiptId', authenticate, validate(schemas.receipt), requireMember(expenseGroup, 'Expense not found'), async (req, res) => {
+  const expense = req.expense;
+  const receipt = expense.receipts.id(req.params.receiptId);
+  if (!receipt) throw new AppError(404, 'Receipt not found');
+  const isUploader = String(receipt.uploadedBy) === req.userId;
+  if (!isUploader && !['creator', 'admin'].includes(memberRole(req.group, req.userId))) {
+    throw new AppError(403, 'Only the uploader or a group admin can remove this receipt');
+  }
+
+  await receiptStorage.delete(receipt.key);
+  expense.receipts.pull(receipt._id);
+  expense.history.push({
+    action: 'receipt-removed', by: req.userId, changes: [{ field: 'receipts', from: receipt.filename, to: null }]
+  });
+  await expense.save();
+
+  return res.json({ message: 'Receipt removed' });
+});
+
+// Audit trail of an expense (also available after deletion)
+app.get('/expenses/:id/history', authenticate, validate(schemas.expense), requireMember(expenseHistoryGroup, 'Expense not found'), async (req, res) => {
+  const { expense } = req;
+  return res.json({ expenseId: expense._id, deleted: expense.deleted, history: expense.history });
+});
+
+
+// Load global exchange rates (admin only)
+// body: { rates: [{ from, to, rate }] }
+app.post('/exchange-rates', requireAdmin, validate(schemas.exchangeRates), async (req, res) => {
+  const { rates } = req.body;
+  await ExchangeRate.bulkWrite(rates.map(r => ({
+    updateOne: {
+      filter: { from: r.from, to: r.to, groupId: null },
+      update: { rate: r.rate, source: 'admin', updatedAt: new Date() },
+      upsert: true
+    }
+  })));
+
+  return res.json({ message: 'Rates saved', count: rates.length });
+});
+
+// List the global (admin-loaded) exchange rates
+app.get('/exchange-rates', validate(schemas.listExchangeRates), async (req, res) => {
+  const rates = await ExchangeRate.find({ groupId: null }).sort({ from: 1, to: 1 }).lean();
+  return res.json(rates);
+});
+
+// Global rates plus the group's own, which members entered on expenses (members only)
+app.get('/groups/:id/exchange-rates', authenticate, validate(schemas.group), requireMember(req => req.params.id), async (req, res) => {
+  const rates = await ExchangeRate.find({ groupId: { $in: [null, req.group._id] } }).sort({ from: 1, to: 1 }).lean();
+  return res.json(rates);
+});
+
+// Record a settlement (from paid to)
+app.post('/settlements', authenticate, validate(schemas.addSettlement), requireMember(req => req.body.groupId), async (req, res) => {
+  const { groupId, from, to, amount, note } = req.body;
+  if (from === to) {
+    throw new AppError(400, 'Cannot settle with yourself');
+  }
+
+  const group = req.group;
+  const memberIds = group.members.map(String);
+  if (!memberIds.includes(String(from)) || !memberIds.includes(String(to))) {
+    throw new AppError(400, 'Both parties must be group members');
+  }
+
+  const settlement = new Settlement({
+    groupId,
+    from,
+    to,
+    addedBy: req.userId,
+    amount,
+    minorUnits: true,
+    note: note || '',
+    approvals: [],
+    approved: false
+  });
+  await settlement.save();
+
+  await recordActivity(group._id, {
+    actor: req.userId, type: 'settlement.added', settlementId: settlement._id,
+    data: { from, to, amount: settlement.amount }
+  });
+  return res.json({ settlement });
+});
+
+// Approve settlement: the receiving member confirms on their own, otherwise majority
+app.post('/settlements/approve', authenticate, validate(schemas.approveSettlement), requireMember(settlementGroup, 'Settlement not found'), async (req, res) => {
+  const settlement = req.settlement;
+  const userId = req.userId;
+
+  if (!settlement.approvals.map(String).includes(String(userId))) {
+    settlement.approvals.push(userId);
+  }
+
+  const threshold = approvalThreshold(req.group.members.length);
+
+  const wasApproved = settlement.approved;
+  if (String(settlement.to) === String(userId) || settlement.approvals.length >= threshold) {
+    settlement.approved = true;
+  }
+
+  await settlement.save();
+  if (settlement.approved && !wasApproved) {
+    await recordActivity(settlement.groupId, {
+      actor: req.userId, type: 'settlement.approved', settlementId: settlement._id,
+      data: { from: settlement.from, to: settlement.to, amount: settlement.amount }
+    });
+  }
+  return res.json({ settlement });
+});
+
+// Create a recurring expense
+// body: { description, category?, amount, paidBy?, currency?, exchangeRate?, splitType?, splits?, participants?,
+//         cadence: 'daily' | 'weekly' | 'monthly' | 'cron', interval?, cron?, timezone?, startDate?, endDate? }
+app.post('/groups/:id/recurring', authenticate, validate(schemas.addRecurring), requireMember(req => req.params.id), async (req, res) => {
+  const {
+    description, category, amount, paidBy, currency, exchangeRate, splitType, splits, participants,
+    cadence, interval, cron, timezone, startDate, endDate
+  } = req.body;
+  if (category && !groupCategories(req.group).some(c => c.key === category)) {
+    throw new AppError(400, `Unknown category ${category}`);
+  }
+
+  // Validate the split now so the scheduler doesn't find out on the first run
+  const payer = paidBy || req.userId;
+  const resolved = await resolveExpenseAmounts(req.group, {
+    paidBy: payer, amount, currency, exchangeRate, splitType, splits, participants
+  }, { saveRate: false });
+  if (resolved.error) throw new AppError(400, resolved.error);
+
+  const recurring = new RecurringExpense({
+    groupId: req.group._id,
+    createdBy: req.userId,
+    paidBy: payer,
+    description: description || '',
+    category,
+    amount,
+    currency: resolved.fields.currency,
+    exchangeRate,
+    splitType,
+    splits: resolved.fields.splits.map(s => ({ user: s.user, value: s.value })),
+    minorUnits: true,
+    cadence,
+    interval,
+    cron,
+    timezone,
+    startDate: startDate || new Date(),
+    endDate
+  });
+
+  try {
+    recurring.nextRunAt = firstOccurrence(recurring);
+  } catch (err) {
+    throw new AppError(400, `Invalid cron expression: ${err.message}`);
+  }
+  await recurring.save();
+
+  return res.json({ recurring });
+});
+
+// List a group's recurring expenses
+app.get('/groups/:id/recurring', authenticate, validate(schemas.group), requireMember(req => req.params.id), async (req, res) => {
+  const recurring = await RecurringExpense.find({ groupId: req.group._id }).sort({ createdAt: -1 }).lean();
+  return res.json(recurring);
+});
+
+// Pause a recurring expense
+app.post('/recurring/:id/pause', authenticate, validate(schemas.recurring), requireMember(recurringGroup, 'Recurring expense not found'), async (req, res) => {
+  req.recurring.paused = true;
+  await req.recurring.save();
+  return res.json({ recurring: req.recurring });
+});
+
+// Resume a recurring expense; runs missed while paused are skipped, not caught up
+app.post('/recurring/:id/resume', authenticate, validate(schemas.recurring), requireMember(recurringGroup, 'Recurring expense not found'), async (req, res) => {
+  const recurring = req.recurring;
+  const now = new Date();
+  while (recurring.nextRunAt && recurring.nextRunAt < now) {
+    recurring.nextRunAt = nextOccurrence(recurring, recurring.nextRunAt);
+  }
+  recurring.paused = false;
+  recurring.lastError = undefined;
+  await recurring.save();
+  return res.json({ recurring });
+});
+
+// Delete a recurring expense (its author / creator / admins); expenses it created stay
+app.delete('/recurring/:id', authenticate, validate(schemas.recurring), requireMember(recurringGroup, 'Recurring expense not found'), async (req, res) => {
+  const isAuthor = String(req.recurring.createdBy) === req.userId;
+  if (!isAuthor && !['creator', 'admin'].includes(memberRole(req.group, req.userId))) {
+    throw new AppError(403, 'Only the author or a group admin can delete this');
+  }
+
+  await req.recurring.deleteOne();
+  return res.json({ message: 'Recurring expense deleted' });
+});
+
+// A group's activity feed, newest first, with the caller's unread count
+// query: cursor?, limit? (1-100, default 30)
+app.get('/groups/:id/activity', authenticate, validate(schemas.activity), requireMember(req => req.params.id), async (req, res) => {
+  const groupId = req.group._id;
+  const { cursor, limit } = req.query;
+  const filter = { groupId };
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) throw new AppError(400, 'Invalid cursor');
+    filter.$or = [
+      { createdAt: { $lt: after.createdAt } },
+      { createdAt: after.createdAt, _id: { $lt: after._id } }
+    ];
+  }
+
+  const page = await Activity.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('actor', 'displayName')
+    .populate('subject', 'displayName')
+    .lean();
+  const hasMore = page.length > limit;
+  const activities = page.slice(0, limit);
+
+  const marker = await ActivityRead.findOne({ groupId, userId: req.userId }).lean();
+  const lastReadAt = marker ? marker.lastReadAt : null;
+  const unreadCount = await Activity.countDocuments({
+    groupId,
+    actor: { $ne: req.userId },
+    ...(lastReadAt ? { createdAt: { $gt: lastReadAt } } : {})
+  });
+
+  return res.json({
+    activities,
+    nextCursor: hasMore ? encodeCursor(activities[activities.length - 1]) : null,
+    lastReadAt,
+    unreadCount
+  });
+});
+
+// Mark a group's feed read up to `until` (default now); the marker never moves back
+// body: { until? }
+app.post('/groups/:id/activity/read', authenticate, validate(schemas.readActivity), requireMember(req => req.params.id, undefined, { allowArchived: true }), async (req, res) => {
+  const until = req.body.until || new Date();
+
+  const marker = await ActivityRead.findOneAndUpdate(
+    { groupId: req.group._id, userId: req.userId },
+    { $max: { lastReadAt: until } },
+    { upsert: true, new: true }
+  ).lean();
+  return res.json({ lastReadAt: marker.lastReadAt });
+});
+
+// Register a webhook (creator / admins). The response is the only time the secret is shown.
+// Deliveries are POSTed as JSON with X-SplitEase-Event, X-SplitEase-Delivery and
+// X-SplitEase-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the secret>.
+// Non-2xx answers and timeouts are retried with backoff; see "Webhook delivery".
+// body: { url, events: [activity type, e.g. 'member.join_requested', 'expense.added'] }
+app.post('/groups/:id/webhooks', authenticate, validate(schemas.addWebhook), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const groupId = req.group._id;
+  if (await Webhook.countDocuments({ groupId }) >= MAX_WEBHOOKS_PER_GROUP) {
+    throw new AppError(409, `A group can have at most ${MAX_WEBHOOKS_PER_GROUP} webhooks`);
+  }
+  const targetError = await webhookTargetError(req.body.url);
+  if (targetError) throw new AppError(400, targetError, { code: 'WEBHOOK_TARGET_BLOCKED' });
+
+  const webhook = await Webhook.create({
+    groupId,
+    url: req.body.url,
+    events: req.body.events,
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdBy: req.userId
+  });
+  return res.json({ webhook: { ...webhook.toJSON(), secret: webhook.secret } });
+});
+
+// A group's webhooks (creator / admins)
+app.get('/groups/:id/webhooks', authenticate, validate(schemas.group), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const webhooks = await Webhook.find({ groupId: req.group._id }).select('-secret').sort({ createdAt: -1 }).lean();
+  return res.json(webhooks);
+});
+
+// Remove a webhook and its delivery log (creator / admins)
+app.delete('/groups/:id/webhooks/:webhookId', authenticate, validate(schemas.webhook), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const { deletedCount } = await Webhook.deleteOne({ _id: req.params.webhookId, groupId: req.group._id });
+  if (!deletedCount) throw new AppError(404, 'Webhook not found');
+  await WebhookDelivery.deleteMany({ webhookId: req.params.webhookId });
+  return res.json({ message: 'Webhook deleted' });
+});
+
+// Delivery log of a webhook, newest first (kept 30 days)
+// query: status? (pending|delivered|failed), cursor?, limit? (1-100, default 50)
+app.get('/groups/:id/webhooks/:webhookId/deliveries', authenticate, validate(schemas.webhookDeliveries), requireMember(req => req.params.id), requireRole('creator', 'admin'), async (req, res) => {
+  const { webhookId } = req.params;
+  if (!await Webhook.exists({ _id: webhookId, groupId: req.group._id })) {
+    throw new AppError(404, 'Webhook not found');
+  }
+  const filter = { webhookId };
+  if (req.query.status) filter.status = req.query.status;
+  return res.json(await listPage(WebhookDelivery, filter, req.query));
+});
+
+// Remind a member that they owe money or have expenses waiting for their vote.
+// One nudge per sender, member and group a day, and at most MAX_NUDGES_PER_DAY per member.
+// body: { userId, reason?: 'balance' | 'approvals' (default balance), message? }
+app.post('/groups/:id/nudge', authenticate, validate(schemas.nudge), requireMember(req => req.params.id), async (req, res) => {
+  const group = req.group;
+  const { userId, reason, message } = req.body;
+  if (userId === req.userId) throw new AppError(400, 'You cannot nudge yourself');
+  if (!group.members.map(String).includes(userId)) throw new AppError(404, 'User is not a member');
+
+  const recipient = await User.findById(userId);
+  if (!recipient) throw new AppError(404, 'User not found');
+  if (recipient.notifications && recipient.notifications.optOut) {
+    throw new AppError(409, 'This member has turned off reminders', { code: 'REMINDERS_OFF' });
+  }
+
+  let body;
+  let data;
+  if (reason === 'balance') {
+    const balance = (await groupNetBalances(group))[userId] || 0;
+    if (balance >= 0) throw new AppError(409, 'This member does not owe anything', { code: 'NOTHING_OWED' });
+    body = `You owe ${formatMinor(-balance, group.baseCurrency)} ${group.baseCurrency} in ${group.name}`;
+    data = { balance, currency: group.baseCurrency };
+  } else {
+    const pending = await Expense.countDocuments(awaitingVote(group._id, userId));
+    if (!pending) throw new AppError(409, 'No expenses are waiting for this member', { code: 'NOTHING_PENDING' });
+    body = `${pending} expense${pending === 1 ? ' is' : 's are'} waiting for your approval in ${group.name}`;
+    data = { pendingApprovals: pending };
+  }
+
+  const since = new Date(Date.now() - NUDGE_COOLDOWN_MS);
+  if (await Reminder.exists({ type: 'nudge', senderId: req.userId, userId, groupId: group._id, createdAt: { $gt: since } })) {
+    throw new AppError(429, 'You already nudged this member today', { code: 'RATE_LIMITED' });
+  }
+  if (await Reminder.countDocuments({ type: 'nudge', userId, createdAt: { $gt: since } }) >= MAX_NUDGES_PER_DAY) {
+    throw new AppError(429, 'This member has had enough reminders today', { code: 'RATE_LIMITED' });
+  }
+
+  const sender = await User.findById(req.userId, 'displayName').lean();
+  const reminder = await Reminder.create({
+    type: 'nudge',
+    userId,
+    senderId: req.userId,
+    groupId: group._id,
+    reason,
+    title: `${sender.displayName} sent you a reminder`,
+    body: message ? `${body}: "${message}"` : body,
+    data: { groupId: group._id, ...data },
+    sendAt: nextSendTime(recipient)
+  });
+  setImmediate(runReminders);
+  return res.json({ message: 'Reminder queued', reminderId: reminder._id });
+});
+
+// Unread activity count for each of the caller's groups
+app.get('/activity/unread', authenticate, async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.userId);
+  const groups = await Group.find({ members: userId, deletedAt: null }, '_id').lean();
+  if (!groups.length) return res.json([]);
+  const markers = await ActivityRead.find({ userId, groupId: { $in: groups.map(g => g._id) } }).lean();
+  const readAt = Object.fromEntries(markers.map(m => [String(m.groupId), m.lastReadAt]));
+
+  const counts = await Activity.aggregate([
+    {
+      $match: {
+        actor: { $ne: userId },
+        $or: groups.map(g => ({
+          groupId: g._id,
+          ...(readAt[String(g._id)] ? { createdAt: { $gt: readAt[String(g._id)] } } : {})
+        }))
+      }
+    },
+    { $group: { _id: '$groupId', unreadCount: { $sum: 1 } } }
+  ]);
+  const byGroup = Object.fromEntries(counts.map(c => [String(c._id), c.unreadCount]));
+
+  return res.json(groups.map(g => ({ groupId: g._id, unreadCount: byGroup[String(g._id)] || 0 })));
+});
+
+// Delta sync for offline clients.
+// GET /sync?since=<cursor> returns everything in the caller's groups created, changed or
+// deleted after the cursor: groups, members, expenses (with approvals/rejections; deleted ones
+// as { _id, groupId, deleted: true } tombstones) and settlements, plus removedGroups the caller
+// no longer belongs to or that were deleted. Omit `since` for a full sync. Store `cursor` for the next call; windows
+// overlap by a few seconds so in-flight writes aren't missed, so apply results as upserts.
+//
+// Conflicts: approvals, rejections and join requests are set operations and simply merge.
+// Expense edits send baseUpdatedAt; if the server copy changed after it, the server copy wins
+// and PUT /expenses/:id answers 409 with it so the app can re-apply the edit on top.
+// A delete wins over any concurrent edit.
+const SYNC_OVERLAP_MS = 5000;
+
+app.get('/sync', authenticate, validate(schemas.sync), async (req, res) => {
+  const startedAt = Date.now();
+  let since = null;
+  if (req.query.since) {
+    since = new Date(Number(Buffer.from(req.query.since, 'base64url').toString()));
+    if (isNaN(since)) throw new AppError(400, 'Invalid since cursor');
+  }
+  const changed = since ? { updatedAt: { $gt: since } } : {};
+  const userId = new mongoose.Types.ObjectId(req.userId);
+
+  const allGroups = await Group.find({ members: userId, deletedAt: null }).lean();
+  const groupIds = allGroups.map(g => g._id);
+  const groups = since ? allGroups.filter(g => g.updatedAt > since) : allGroups;
+
+  const removedGroups = since
+    ? (await Group.find({
+      $or: [
+        { members: { $ne: userId }, departedMembers: { $elemMatch: { user: userId, at: { $gt: since } } } },
+        { members: userId, deletedAt: { $gt: since } }
+      ]
+    }, '_id').lean()).map(g => g._id)
+    : [];
+
+  // Members of changed groups (they may have joined) plus anyone whose profile changed
+  const memberIds = [...new Set(allGroups.flatMap(g => g.members.map(String)))];
+  const freshGroupMembers = [...new Set(groups.flatMap(g => g.members.map(String)))];
+  const members = await User.find({
+    _id: { $in: memberIds },
+    ...(since ? { $or: [{ _id: { $in: freshGroupMembers } }, changed] } : {})
+  }, 'displayName updatedAt').lean();
+
+  const expenses = await Expense.find({ groupId: { $in: groupIds }, ...changed })
+    .select('-history -receipts.key')
+    .lean();
+  const settlements = await Settlement.find({ groupId: { $in: groupIds }, ...changed }).lean();
+
+  return res.json({
+    cursor: Buffer.from(String(startedAt - SYNC_OVERLAP_MS)).toString('base64url'),
+    full: !since,
+    groups,
+    removedGroups,
+    members,
+    expenses: expenses.map(e => (e.deleted
+      ? { _id: e._id, groupId: e.groupId, clientId: e.clientId, deleted: true, deletedAt: e.deletedAt, updatedAt: e.updatedAt }
+      : withCurrency(e, allGroups.find(g => String(g._id) === String(e.groupId)).baseCurrency))),
+    settlements
+  });
+});
+
+// Groups by user, as summaries (last activity, expense + pending counts, caller's balance),
+// computed in one aggregation. Expenses are paged via /groups/:id/expenses and
+// settle-up transfers come from /groups/:id/balances.
+// query: archived? 'exclude' (default) | 'include' | 'only'
+app.get('/groups', authenticate, validate(schemas.listGroups), async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.userId);
+  const activityAt = { $ifNull: ['$updatedAt', '$createdAt'] };
+
+  // What one approved expense does to the caller's balance: paid minus owed
+  const paid = { $cond: [{ $eq: [{ $ifNull: ['$paidBy', '$addedBy'] }, userId] }, '$amount', 0] };
+  const owed = {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+      { $sum: { $map: { input: { $filter: { input: '$splits', cond: { $eq: ['$$this.user', userId] } } }, in: '$$this.amount' } } },
+      { $divide: ['$amount', '$$memberCount'] } // legacy expense: equal share of every member, rounded below
+    ]
+  };
+
+  const archived = { exclude: { archivedAt: null }, include: {}, only: { archivedAt: { $ne: null } } }[req.query.archived];
+
+  const groups = await Group.aggregate([
+    { $match: { members: userId, deletedAt: null, ...archived } },
+    {
+      $lookup: {
+        from: Expense.collection.name,
+        let: { groupId: '$_id', memberCount: { $max: [{ $size: '$members' }, 1] } },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$groupId', '$$groupId'] }, deleted: { $ne: true } } },
+          {
+            $group: {
+              _id: null,
+              expenseCount: { $sum: 1 },
+              pendingCount: { $sum: { $cond: [{ $or: ['$approved', { $eq: ['$rejected', true] }] }, 0, 1] } },
+              lastActivityAt: { $max: activityAt },
+              net: { $sum: { $cond: ['$approved', { $subtract: [paid, owed] }, 0] } }
+            }
+          }
+        ],
+        as: 'expenseSummary'
+      }
+    },
+    {
+      $lookup: {
+        from: Settlement.collection.name,
+        let: { groupId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$groupId', '$$groupId'] } } },
+          {
+            $group: {
+              _id: null,
+              lastActivityAt: { $max: activityAt },
+              net: {
+                $sum: {
+                  $cond: ['$approved', {
+                    $add: [
+                      { $cond: [{ $eq: ['$from', userId] }, '$amount', 0] },
+                      { $cond: [{ $eq: ['$to', userId] }, { $multiply: ['$amount', -1] }, 0] }
+                    ]
+                  }, 0]
+                }
+              }
+            }
+          }
+        ],
+        as: 'settlementSummary'
+      }
+    },
+    { $set: { e: { $first: '$expenseSummary' }, s: { $first: '$settlementSummary' } } },
+    {
+      $project: {
+        name: 1,
+        creator: 1,
+        joinCode: 1,
+        baseCurrency: 1,
+        approvalPolicy: 1,
+        archivedAt: 1,
+        memberCount: { $size: '$members' },
+        createdAt: 1,
+        updatedAt: 1,
+        expenseCount: { $ifNull: ['$e.expenseCount', 0] },
+        pendingCount: { $ifNull: ['$e.pendingCount', 0] },
+        lastActivityAt: { $max: [activityAt, '$e.lastActivityAt', '$s.lastActivityAt'] },
+        balance: { $round: [{ $add: [{ $ifNull: ['$e.net', 0] }, { $ifNull: ['$s.net', 0] }] }, 0] }
+      }
+    },
+    { $sort: { lastActivityAt: -1 } }
+  ]);
+
+  res.json(groups);
+});
+
+/** --- Error handling --- **/
+// Unknown routes
+app.use((req, res) => {
+  res.status(404).json({ code: 'NOT_FOUND', message: `Cannot ${req.method} ${req.path}` });
+});
+
+// Maps anything thrown by a route or middleware to { code, message, details? }
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+  if (err instanceof z.ZodError) {
+    return new AppError(400, 'Invalid request', {
+      code: 'VALIDATION_FAILED',
+      details: err.issues.map(i => ({ path: i.path.join('.'), message: i.message }))
+    });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(400, `Invalid ${err.path}`, { code: 'INVALID_ID' });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError(400, 'Invalid request', {
+      code: 'VALIDATION_FAILED',
+      details: Object.values(err.errors).map(e => ({ path: e.path, message: e.message }))
+    });
+  }
+  if (err.code === 11000) return new AppError(409, 'Already exists', { code: 'DUPLICATE' });
+  // body-parser errors
+  if (err.type === 'entity.parse.failed') return new AppError(400, 'Malformed JSON body', { code: 'INVALID_JSON' });
+  if (err.type === 'entity.too.large') return new AppError(413, 'Request body too large');
+  return null;
+}
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    req.log.error('Error after response started', { err });
+    return res.end();
+  }
+  const error = toAppError(err);
+  if (!error) {
+    req.log.error('Unhandled error', { err, method: req.method, route: req.route ? req.route.path : undefined });
+    return res.status(500).json({ code: 'INTERNAL', message: 'Server error' });
+  }
+  res.status(error.status).json({ code: error.code, message: error.message, details: error.details });
+});
+
+/** --- Recurring expense scheduler --- **/
+const RECURRING_POLL_MS = Number(process.env.RECURRING_POLL_MS) || 60 * 1000;
+const MAX_RUNS_PER_TICK = 100; // per definition; the rest is caught up on the next tick
+
+// Creates every expense that has come due. Progress is saved after each run and the
+// (recurringId, occurrence) index rejects duplicates, so restarts neither skip nor repeat runs.
+async function runRecurringExpenses(now = new Date()) {
+  const due = await RecurringExpense.find({ paused: false, nextRunAt: { $lte: now } });
+
+  for (const recurring of due) {
+    const group = await Group.findById(recurring.groupId);
+    if (!group || group.archivedAt || group.deletedAt) continue;
+
+    for (let runs = 0; runs < MAX_RUNS_PER_TICK; runs++) {
+      const occurrence = recurring.nextRunAt;
+      if (!occurrence || occurrence > now) break;
+      if (recurring.endDate && occurrence > recurring.endDate) {
+        recurring.nextRunAt = undefined;
+        break;
+      }
+
+      try {
+        const created = await createExpense(group, recurring.createdBy, {
+          description: recurring.description,
+          category: recurring.category,
+          amount: recurring.amount,
+          paidBy: recurring.paidBy,
+          currency: recurring.currency,
+          exchangeRate: recurring.exchangeRate,
+          splitType: recurring.splitType,
+          splits: recurring.splits.length ? recurring.splits : undefined
+        }, { recurringId: recurring._id, occurrence, createdAt: occurrence }, { saveRate: false });
+
+        // e.g. the payer left the group: stop until someone fixes and resumes it
+        if (created.error) {
+          recurring.paused = true;
+          recurring.lastError = created.error;
+          break;
+        }
+      } catch (err) {
+        if (err.code !== 11000) throw err; // 11000: this run already exists
+      }
+
+      recurring.lastRunAt = occurrence;
+      recurring.nextRunAt = nextOccurrence(recurring, occurrence);
+      await recurring.save();
+    }
+    await recurring.save();
+  }
+}
+
+let recurringTimer = null;
+let recurringRunning = false;
+
+function startRecurringScheduler() {
+  const tick = async () => {
+    if (recurringRunning) return;
+    recurringRunning = true;
+    try {
+      await runRecurringExpenses();
+    } catch (err) {
+      logger.error('Recurring scheduler error', { err });
+    } finally {
+      recurringRunning = false;
+    }
+  };
+  recurringTimer = setInterval(tick, RECURRING_POLL_MS);
+  tick();
+}
+
+/** --- Webhook delivery --- **/
+// Works through pending WebhookDelivery documents. A delivery is claimed with lockedUntil so
+// a second server process can't send it at the same time; a crashed attempt is retried
+// once the lock runs out.
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 10 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const MAX_DELIVERIES_PER_TICK = 100;
+
+// 30s, 1m, 2m, 4m ... capped at an hour; 8 attempts span about an hour
+const webhookBackoff = attempts => Math.min(30 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId).lean();
+  if (!webhook || !webhook.active) {
+    return WebhookDelivery.updateOne({ _id: delivery._id }, { status: 'failed', lastError: 'Webhook removed or disabled' });
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus;
+  // The host may resolve somewhere else by now
+  let error = await webhookTargetError(webhook.url);
+  if (!error) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SplitEase-Webhooks/1',
+          'X-SplitEase-Event': delivery.event,
+          'X-SplitEase-Delivery': String(delivery._id),
+          'X-SplitEase-Signature': `t=${timestamp},v1=${signWebhook(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        dispatcher: webhookAgent,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = (err.cause && err.cause.message) || err.message; // fetch wraps connection errors
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, responseStatus, lastError: error, lockedUntil: null };
+  if (!error) Object.assign(update, { status: 'delivered', deliveredAt: new Date() });
+  else if (attempts >= WEBHOOK_MAX_ATTEMPTS) update.status = 'failed';
+  else update.nextAttemptAt = new Date(Date.now() + webhookBackoff(attempts));
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+}
+
+let webhookTimer = null;
+let webhookRunning = false;
+
+// Also kicked by enqueueWebhooks so new events go out right away
+async function deliverWebhooks() {
+  if (webhookRunning) return;
+  webhookRunning = true;
+  try {
+    for (let i = 0; i < MAX_DELIVERIES_PER_TICK; i++) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { lockedUntil: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (err) {
+    logger.error('Webhook delivery error', { err });
+  } finally {
+    webhookRunning = false;
+  }
+}
+
+function startWebhookWorker() {
+  webhookTimer = setInterval(deliverWebhooks, WEBHOOK_POLL_MS);
+  deliverWebhooks();
+}
+
+/** --- Reminder scheduler --- **/
+// Queues weekly digests and sends due reminders through notificationChannel. A reminder is
+// claimed by moving its sendAt forward, so a crashed send is retried after the claim expires.
+const REMINDER_POLL_MS = Number(process.env.REMINDER_POLL_MS) || 60 * 1000;
+const REMINDER_CLAIM_MS = 5 * 60 * 1000;
+const DIGEST_INTERVAL_MS = 7 * DAY_MS;
+const MAX_REMINDERS_PER_TICK = 100; // digests queued and reminders sent; the rest wait a tick
+
+async function queueDigests() {
+  const weekAgo = new Date(Date.now() - DIGEST_INTERVAL_MS);
+  const users = await User.find({
+    'notifications.optOut': { $ne: true },
+    'notifications.digest': { $ne: false },
+    $or: [
+      { 'notifications.lastDigestAt': { $lt: weekAgo } },
+      { 'notifications.lastDigestAt': null, createdAt: { $lt: weekAgo } }
+    ]
+  }).limit(MAX_REMINDERS_PER_TICK);
+
+  for (const user of users) {
+    const digest = await buildDigest(user);
+    if (digest) {
+      await Reminder.create({
+        type: 'digest',
+        userId: user._id,
+        title: 'Your weekly SplitEase digest',
+        body: digest.body,
+        data: { groups: digest.groups },
+        sendAt: nextSendTime(user)
+      });
+    }
+    await User.updateOne({ _id: user._id }, { 'notifications.lastDigestAt': new Date() });
+  }
+}
+
+async function sendDueReminders() {
+  for (let i = 0; i < MAX_REMINDERS_PER_TICK; i++) {
+    const now = new Date();
+    const reminder = await Reminder.findOneAndUpdate(
+      { status: 'queued', sendAt: { $lte: now } },
+      { sendAt: new Date(now.getTime() + REMINDER_CLAIM_MS) },
+      { sort: { sendAt: 1 }, new: true }
+    );
+    if (!reminder) break;
+
+    // Preferences may have changed since the reminder was queued
+    const user = await User.findById(reminder.userId);
+    if (!user || (user.notifications && user.notifications.optOut)) {
+      reminder.status = 'skipped';
+      await reminder.save();
+      continue;
+    }
+    const sendAt = nextSendTime(user, now);
+    if (sendAt > now) {
+      reminder.sendAt = sendAt;
+      await reminder.save();
+      continue;
+    }
+
+    try {
+      await notificationChannel.send(user, reminder);
+      reminder.status = 'sent';
+      reminder.sentAt = new Date();
+    } catch (err) {
+      reminder.status = 'failed';
+      reminder.error = err.message;
+    }
+    reminder.channel = notificationChannel.name;
+    await reminder.save();
+  }
+}
+
+let reminderTimer = null;
+let reminderRunning = false;
+
+// Also kicked by POST /groups/:id/nudge so nudges outside quiet hours go out right away
+async function runReminders() {
+  if (reminderRunning) return;
+  reminderRunning = true;
+  try {
+    await queueDigests();
+    await sendDueReminders();
+  } catch (err) {
+    logger.error('Reminder scheduler error', { err });
+  } finally {
+    reminderRunning = false;
+  }
+}
+
+function startReminderScheduler() {
+  reminderTimer = setInterval(runReminders, REMINDER_POLL_MS);
+  runReminders();
+}
+
+/** --- Deleted group purge --- **/
+// Hard-deletes groups whose restore window has passed, with everything stored for them
+const PURGE_POLL_MS = 60 * 60 * 1000;
+
+async function purgeDeletedGroups(now = new Date()) {
+  const cutoff = new Date(now.getTime() - GROUP_RESTORE_DAYS * DAY_MS);
+  const groups = await Group.find({ deletedAt: { $lte: cutoff } }, '_id').lean();
+
+  for (const { _id: groupId } of groups) {
+    for await (const expense of Expense.find({ groupId, 'receipts.0': { $exists: true } }).cursor()) {
+      await deleteReceiptFiles(expense);
+    }
+    const owned = [Expense, Settlement, RecurringExpense, ExchangeRate, Activity, ActivityRead, Webhook, WebhookDelivery, Reminder];
+    await Promise.all(owned.map(Model => Model.deleteMany({ groupId })));
+    await Group.deleteOne({ _id: groupId });
+  }
+}
+
+let purgeTimer = null;
+let purgeRunning = false;
+
+function startGroupPurge() {
+  const tick = async () => {
+    if (purgeRunning) return;
+    purgeRunning = true;
+    try {
+      await purgeDeletedGroups();
+    } catch (err) {
+      logger.error('Group purge error', { err });
+    } finally {
+      purgeRunning = false;
+    }
+  };
+  purgeTimer = setInterval(tick, PURGE_POLL_MS);
+  tick();
+}
+
+/** --- Socket.IO: real-time events --- **/
+// Clients connect with io(url, { auth: { token: accessToken } })
+io.use((socket, next) => {
+  verifyActiveUser(socket.handshake.auth && socket.handshake.auth.token).then(userId => {
+    if (!userId) return next(new Error('Invalid or missing token'));
+    socket.data.userId = userId;
+    next();
+  }, next);
+});
+
+io.on('connection', (socket) => {
+  logger.debug('Socket connected', { socketId: socket.id, userId: socket.data.userId });
+
+  // Join a group's room to receive its events; only verified members are let in
+  // payload: { groupId }
+  socket.on('joinRoom', async (payload) => {
+    try {
+      const { groupId } = payload || {};
+      if (!groupId) return;
+
+      const group = await Group.findOne({ _id: groupId, members: socket.data.userId, deletedAt: null }).select('_id').lean();
+      if (!group) return socket.emit('error', { message: 'Not a member of this group' });
+
+      socket.join(String(groupId));
+      logger.debug('Socket joined room', { socketId: socket.id, groupId });
+    } catch (err) {
+      logger.error('joinRoom error', { err, socketId: socket.id });
+      socket.emit('error', { message: 'Could not join room' });
+    }
+  });
+
+  socket.on('leaveRoom', (payload) => {
+    const { groupId } = payload || {};
+    if (groupId) socket.leave(String(groupId));
+  });
+
+  socket.on('disconnect', () => {
+    logger.debug('Socket disconnected', { socketId: socket.id });
+  });
+});
+
+/** --- Start server --- **/
+const PORT = process.env.PORT || 5000;
+server.listen(PORT, () => {
+  logger.info('REST API + socket.io server running', { port: Number(PORT) });
+  startRecurringScheduler();
+  startWebhookWorker();
+  startReminderScheduler();
+  startGroupPurge();
+});
+
+/** --- Graceful shutdown --- **/
+// On SIGTERM / SIGINT: fail readiness, stop the background jobs, stop accepting connections
+// and let in-flight requests finish, wait for a running job tick, then close MongoDB.
+// Exits non-zero if that takes longer than SHUTDOWN_TIMEOUT_MS.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15 * 1000;
+// Time for the load balancer to see /readyz fail and stop routing here before the server closes
+const SHUTDOWN_DRAIN_DELAY_MS = Number(process.env.SHUTDOWN_DRAIN_DELAY_MS ?? 5 * 1000);
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+  setTimeout(() => {
+    logger.error('Shutdown timed out');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  [recurringTimer, webhookTimer, reminderTimer, purgeTimer].forEach(timer => clearInterval(timer));
+  await new Promise(resolve => setTimeout(resolve, SHUTDOWN_DRAIN_DELAY_MS));
+
+  // io.close() disconnects sockets and closes the HTTP server once open requests are done
+  const drained = new Promise(resolve => io.close(() => resolve()));
+  server.closeIdleConnections();
+  await drained;
+
+  while (recurringRunning || webhookRunning || reminderRunning || purgeRunning) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  // close() would wait out a connection attempt still in progress; exiting drops it anyway
+  if (mongoose.connection.readyState === mongoose.STATES.connected) await mongoose.connection.close();
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
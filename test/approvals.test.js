@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { approvalThreshold, requiredApprovals, refreshApprovalState } = require('../lib/approvals');
+
+const users = ['a', 'b', 'c', 'd', 'e'];
+const group = mode => ({ members: users, creator: 'a', approvalPolicy: mode });
+
+// State of a 5-member expense after the given votes
+function stateAfter(policy, { approvals = [], rejections = [], amount = 1000, memberCount = 5 } = {}) {
+  const expense = { amount, memberCount, approvals, rejections };
+  refreshApprovalState(expense, group(policy));
+  return { approved: expense.approved, rejected: expense.rejected };
+}
+
+test('approvalThreshold is a strict majority', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(approvalThreshold), [1, 2, 2, 3, 3, 4]);
+});
+
+test('requiredApprovals follows the policy mode', () => {
+  assert.equal(requiredApprovals(undefined, 5, 100), 3);
+  assert.equal(requiredApprovals({ mode: 'unanimous' }, 5, 100), 5);
+  assert.equal(requiredApprovals({ mode: 'fixed', count: 2 }, 5, 100), 2);
+  assert.equal(requiredApprovals({ mode: 'fixed', count: 9 }, 5, 100), 5);
+  assert.equal(requiredApprovals({ mode: 'auto-below', amount: 500 }, 5, 499), 0);
+  assert.equal(requiredApprovals({ mode: 'auto-below', amount: 500 }, 5, 500), 3);
+});
+
+test('majority: rejected once a majority objects', () => {
+  const policy = { mode: 'majority' };
+  assert.deepEqual(stateAfter(policy, { rejections: ['b', 'c'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { rejections: ['b', 'c', 'd'] }), { approved: false, rejected: true });
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b', 'c'], rejections: ['d', 'e'] }), { approved: true, rejected: false });
+});
+
+test('unanimous: a single rejection makes approval unreachable', () => {
+  const policy = { mode: 'unanimous' };
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b', 'c', 'd'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b', 'c', 'd'], rejections: ['e'] }), { approved: false, rejected: true });
+  assert.deepEqual(stateAfter(policy, { approvals: users }), { approved: true, rejected: false });
+});
+
+test('fixed: rejection still needs a majority while the count stays reachable', () => {
+  const policy = { mode: 'fixed', count: 2 };
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b'] }), { approved: true, rejected: false });
+  assert.deepEqual(stateAfter(policy, { rejections: ['b', 'c'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { rejections: ['b', 'c', 'd'] }), { approved: false, rejected: true });
+  // 4 of 5 needed: two rejections leave only 3 possible approvals
+  assert.deepEqual(stateAfter({ mode: 'fixed', count: 4 }, { rejections: ['b', 'c'] }), { approved: false, rejected: true });
+});
+
+test('auto-below: small expenses approve themselves, larger ones need a majority', () => {
+  const policy = { mode: 'auto-below', amount: 500 };
+  assert.deepEqual(stateAfter(policy, { amount: 499 }), { approved: true, rejected: false });
+  assert.deepEqual(stateAfter(policy, { amount: 499, rejections: ['b', 'c', 'd'] }), { approved: false, rejected: true });
+  assert.deepEqual(stateAfter(policy, { amount: 500, approvals: ['a', 'b'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { amount: 500, rejections: ['b', 'c', 'd'] }), { approved: false, rejected: true });
+});
+
+test('creator: only the creator\'s vote counts', () => {
+  const policy = { mode: 'creator' };
+  assert.deepEqual(stateAfter(policy, { approvals: ['b', 'c', 'd', 'e'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { rejections: ['b', 'c', 'd', 'e'] }), { approved: false, rejected: false });
+  assert.deepEqual(stateAfter(policy, { approvals: ['a'] }), { approved: true, rejected: false });
+  assert.deepEqual(stateAfter(policy, { approvals: ['b'], rejections: ['a'] }), { approved: false, rejected: true });
+});
+
+test('votes count against the frozen member count, or the group size for older expenses', () => {
+  const policy = { mode: 'unanimous' };
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b', 'c'], memberCount: 3 }), { approved: true, rejected: false });
+  assert.deepEqual(stateAfter(policy, { approvals: ['a', 'b', 'c'], memberCount: undefined }), { approved: false, rejected: false });
+});
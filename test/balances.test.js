@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ledgerMembers, effectiveSplits, computeBalances, simplifyDebts } = require('../lib/balances');
+
+const members = ['a', 'b', 'c'];
+
+test('effectiveSplits shares legacy expenses without splits equally', () => {
+  assert.deepEqual(effectiveSplits({ amount: 100 }, members).map(s => s.amount), [34, 33, 33]);
+  const splits = [{ user: 'a', amount: 100 }];
+  assert.equal(effectiveSplits({ amount: 100, splits }, members), splits);
+});
+
+test('computeBalances credits the payer and debits each split', () => {
+  const expenses = [
+    { approved: true, amount: 900, paidBy: 'a', splits: [{ user: 'a', amount: 300 }, { user: 'b', amount: 300 }, { user: 'c', amount: 300 }] },
+    { approved: true, amount: 100, addedBy: { _id: 'b' } }, // legacy: no payer or splits
+    { approved: false, amount: 5000, paidBy: 'c', splits: [{ user: 'a', amount: 5000 }] }
+  ];
+  const settlements = [
+    { approved: true, from: 'b', to: 'a', amount: 200 },
+    { approved: false, from: 'c', to: 'a', amount: 600 }
+  ];
+  assert.deepEqual(computeBalances(members, expenses, settlements), { a: 366, b: -33, c: -333 });
+});
+
+test('computeBalances keeps former members in the ledger', () => {
+  const group = { members: ['a'], formerMembers: ['z'] };
+  const expenses = [{ approved: true, amount: 50, paidBy: 'a', splits: [{ user: 'z', amount: 50 }] }];
+  assert.deepEqual(computeBalances(ledgerMembers(group), expenses), { a: 50, z: -50 });
+  assert.deepEqual(ledgerMembers({ members: ['a'] }), ['a']);
+});
+
+test('simplifyDebts settles everyone in at most N-1 transfers', () => {
+  const net = { a: 700, b: -300, c: -250, d: -150, e: 0 };
+  const transfers = simplifyDebts(net);
+  assert.ok(transfers.length <= 3);
+
+  const after = { ...net };
+  transfers.forEach(({ from, to, amount }) => {
+    assert.ok(amount > 0);
+    after[from] += amount;
+    after[to] -= amount;
+  });
+  assert.ok(Object.values(after).every(v => v === 0));
+});
+
+test('simplifyDebts matches the largest debtor with the largest creditor', () => {
+  assert.deepEqual(simplifyDebts({ a: 500, b: 100, c: -400, d: -200 }), [
+    { from: 'c', to: 'a', amount: 400 },
+    { from: 'd', to: 'a', amount: 100 },
+    { from: 'd', to: 'b', amount: 100 }
+  ]);
+  assert.deepEqual(simplifyDebts({ a: 0, b: 0 }), []);
+});
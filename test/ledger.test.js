@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvRow, parseCsv, parseSplitwiseCsv, parseSpliteaseExport } = require('../lib/ledger');
+
+test('csvRow and parseCsv round-trip quoted fields', () => {
+  const values = ['plain', 'with, comma', 'say "hi"', 'two\nlines', ''];
+  assert.equal(csvRow(values), 'plain,"with, comma","say ""hi""","two\nlines",\r\n');
+  assert.deepEqual(parseCsv(csvRow(values) + csvRow(['x'])), [values, ['x']]);
+  assert.deepEqual(parseCsv('a,b\nc,d'), [['a', 'b'], ['c', 'd']]);
+});
+
+const splitwise = rows => '\uFEFFDate,Description,Category,Cost,Currency,Alice,Bob,Carol\n' + rows.join('\n') + '\n';
+
+test('parseSplitwiseCsv turns a row into an exact split paid by the one positive column', () => {
+  const { people, items, rejected } = parseSplitwiseCsv(splitwise([
+    '2024-01-05,Dinner,Dining out,90.00,INR,60.00,-30.00,-30.00',
+    '2024-01-08,Snacks,,10.00,,6.67,-3.33,-3.33',
+    '2024-01-10,Sushi,,3000,JPY,-1500,1500,0',
+    ',Total balance,,,INR,36.67,-33.33,-3.34'
+  ]), 'INR');
+
+  assert.deepEqual(people.map(p => p.key), ['Alice', 'Bob', 'Carol']);
+  assert.deepEqual(rejected, []);
+  assert.equal(items.length, 3);
+  assert.deepEqual(items[0], {
+    row: 2, date: new Date('2024-01-05'), description: 'Dinner', categoryHint: 'Dining out', amount: 9000, currency: 'INR',
+    paidBy: 'Alice', splitType: 'exact', approved: true,
+    splits: [{ user: 'Alice', value: 3000 }, { user: 'Bob', value: 3000 }, { user: 'Carol', value: 3000 }]
+  });
+  // Rounding drift lands on the payer; the currency defaults to the group's
+  assert.equal(items[1].currency, 'INR');
+  assert.deepEqual(items[1].splits, [{ user: 'Alice', value: 334 }, { user: 'Bob', value: 333 }, { user: 'Carol', value: 333 }]);
+  assert.deepEqual(items[2].splits, [{ user: 'Bob', value: 1500 }, { user: 'Alice', value: 1500 }]);
+  assert.equal(items[2].amount, 3000);
+});
+
+test('parseSplitwiseCsv reads Payment rows as settlements', () => {
+  const { items, rejected } = parseSplitwiseCsv(splitwise([
+    '2024-01-06,Alice paid Bob,Payment,25.00,INR,25.00,-25.00,0.00',
+    '2024-01-07,Alice paid twice,Payment,20.00,INR,20.00,-10.00,-10.00'
+  ]), 'INR');
+
+  assert.deepEqual(items, [{
+    type: 'settlement', row: 2, date: new Date('2024-01-06'), description: 'Alice paid Bob',
+    amount: 2500, currency: 'INR', from: 'Alice', to: 'Bob'
+  }]);
+  assert.deepEqual(rejected, [{ row: 3, reason: 'Payments must have exactly one receiver' }]);
+});
+
+test('parseSplitwiseCsv rejects rows it cannot import', () => {
+  const { items, rejected } = parseSplitwiseCsv(splitwise([
+    '2024-01-07,Taxi,Transport,40.00,INR,10.00,10.00,-20.00',
+    '2024-01-09,Unbalanced,,10.00,INR,5.00,-1.00,-1.00',
+    'someday,Bad date,,10.00,INR,5.00,-5.00,0',
+    '2024-01-09,Free,,0,INR,0,0,0',
+    '2024-01-09,Typo,,10.00,INR,abc,-5.00,-5.00',
+    '2024-01-09,Too much,,10.00,INR,15.00,-7.50,-7.50'
+  ]), 'INR');
+
+  assert.deepEqual(items, []);
+  assert.deepEqual(rejected, [
+    { row: 2, reason: 'Rows must have exactly one payer' },
+    { row: 3, reason: 'Member columns do not balance' },
+    { row: 4, reason: 'Invalid date "someday"' },
+    { row: 5, reason: 'Invalid cost "0"' },
+    { row: 6, reason: 'Non-numeric member column' },
+    { row: 7, reason: 'Member columns exceed the cost' }
+  ]);
+});
+
+test('parseSpliteaseExport re-applies split amounts as shares', () => {
+  const data = {
+    version: 2,
+    group: { baseCurrency: 'EUR' },
+    members: [{ id: 'u1', displayName: 'Alice' }, { id: 'u2' }],
+    expenses: [
+      { createdAt: '2024-02-01', description: 'Hotel', amount: 9000, originalAmount: 10000, currency: 'USD', paidBy: 'u1',
+        splits: [{ user: 'u1', amount: 4500 }, { user: 'u2', amount: 4500 }], approvals: ['u2'], approved: true },
+      { createdAt: '2024-02-02', amount: 100, paidBy: 'u3', splits: [{ user: 'u1', amount: 100 }] },
+      { createdAt: '2024-02-03', amount: 100, paidBy: 'u1' }
+    ]
+  };
+  const { people, items, rejected } = parseSpliteaseExport(data);
+
+  assert.deepEqual(people, [{ key: 'u1', id: 'u1', name: 'Alice' }, { key: 'u2', id: 'u2', name: 'u2' }]);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].amount, 10000);
+  assert.equal(items[0].splitType, 'shares');
+  assert.deepEqual(items[0].splits, [{ user: 'u1', value: 4500 }, { user: 'u2', value: 4500 }]);
+  assert.deepEqual(rejected, [
+    { row: 2, reason: 'References a user missing from members' },
+    { row: 3, reason: 'Missing splits' }
+  ]);
+
+  // Version 1 exports have decimal amounts
+  const v1 = parseSpliteaseExport({ ...data, version: 1, expenses: [{ ...data.expenses[0], originalAmount: '100.00' }] });
+  assert.equal(v1.items[0].amount, 10000);
+});
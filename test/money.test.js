@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toMinor, formatMinor, convertMinor, apportion, buildSplits } = require('../lib/money');
+
+test('toMinor and formatMinor follow the currency precision', () => {
+  assert.equal(toMinor('12.50', 'INR'), 1250);
+  assert.equal(toMinor(0.1 + 0.2, 'USD'), 30);
+  assert.equal(toMinor('1500', 'JPY'), 1500);
+  assert.equal(toMinor('1.234', 'KWD'), 1234);
+  assert.equal(formatMinor(1250, 'INR'), '12.50');
+  assert.equal(formatMinor(1500, 'jpy'), '1500');
+});
+
+test('convertMinor converts between currencies with different precision', () => {
+  assert.equal(convertMinor(2000, 90.5, 'EUR', 'INR'), 181000); // 20.00 EUR -> 1810.00 INR
+  assert.equal(convertMinor(1000, 0.0061, 'JPY', 'EUR'), 610); // 1000 JPY -> 6.10 EUR
+});
+
+test('apportion hands out the remainder by largest fraction, ties to the lowest user id', () => {
+  assert.deepEqual(apportion(10000, [1, 1, 1], ['a', 'b', 'c']), [3334, 3333, 3333]);
+  assert.deepEqual(apportion(10000, [1, 1, 1], ['c', 'b', 'a']), [3333, 3333, 3334]);
+  assert.deepEqual(apportion(100, [1, 2], ['a', 'b']), [33, 67]);
+  assert.deepEqual(apportion(500, [0, 0], ['a', 'b']), [0, 0]);
+});
+
+test('apportion always sums to the total', () => {
+  const users = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+  for (const total of [1, 7, 99, 1001, 123457]) {
+    const parts = apportion(total, [3, 1, 4, 1, 5, 9, 2], users);
+    assert.equal(parts.reduce((a, b) => a + b, 0), total);
+    assert.ok(parts.every(Number.isInteger));
+  }
+});
+
+test('buildSplits apportions every split type to the total', () => {
+  const entries = [{ user: 'a', value: 50 }, { user: 'b', value: 25 }, { user: 'c', value: 25 }];
+  const amounts = result => result.splits.map(s => s.amount);
+
+  assert.deepEqual(amounts(buildSplits('equal', 100, entries)), [34, 33, 33]);
+  assert.deepEqual(amounts(buildSplits('percentage', 999, entries)), [499, 250, 250]);
+  assert.deepEqual(amounts(buildSplits('shares', 1000, entries)), [500, 250, 250]);
+  // Exact amounts are entered in the expense currency and re-apportioned onto the base total
+  assert.deepEqual(amounts(buildSplits('exact', 9050, entries, 100)), [4525, 2263, 2262]);
+});
+
+test('buildSplits rejects splits that do not add up', () => {
+  const entries = [{ user: 'a', value: 60 }, { user: 'b', value: 30 }];
+  assert.match(buildSplits('percentage', 100, entries).error, /Percentages add up to 90/);
+  assert.match(buildSplits('exact', 100, entries).error, /Exact amounts add up to 90/);
+  assert.match(buildSplits('exact', 100, [{ user: 'a', value: 99.5 }, { user: 'b', value: 0.5 }]).error, /whole minor units/);
+  assert.match(buildSplits('equal', 100, [{ user: 'a' }, { user: 'a' }]).error, /Duplicate participant/);
+  assert.match(buildSplits('shares', 100, []).error, /At least one participant/);
+  assert.match(buildSplits('weird', 100, entries).error, /Unknown splitType/);
+});
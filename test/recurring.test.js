@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addMonths, nextOccurrence, firstOccurrence } = require('../lib/recurring');
+
+const utc = text => new Date(`${text}T09:00:00Z`);
+
+test('addMonths clamps to the last day of shorter months', () => {
+  assert.deepEqual(addMonths(utc('2024-01-31'), 1, 31), utc('2024-02-29'));
+  assert.deepEqual(addMonths(utc('2023-01-31'), 1, 31), utc('2023-02-28'));
+  assert.deepEqual(addMonths(utc('2024-03-31'), 1, 31), utc('2024-04-30'));
+  assert.deepEqual(addMonths(utc('2024-11-30'), 3, 30), utc('2025-02-28'));
+});
+
+test('monthly runs return to the start day after a short month', () => {
+  const recurring = { cadence: 'monthly', interval: 1, startDate: utc('2024-01-31') };
+  const runs = [recurring.startDate];
+  for (let i = 0; i < 3; i++) runs.push(nextOccurrence(recurring, runs[runs.length - 1]));
+  assert.deepEqual(runs, [utc('2024-01-31'), utc('2024-02-29'), utc('2024-03-31'), utc('2024-04-30')]);
+});
+
+test('daily and weekly runs step by the interval', () => {
+  const start = utc('2024-03-01');
+  assert.deepEqual(nextOccurrence({ cadence: 'daily', interval: 2, startDate: start }, start), utc('2024-03-03'));
+  assert.deepEqual(nextOccurrence({ cadence: 'weekly', interval: 1, startDate: start }, start), utc('2024-03-08'));
+  assert.equal(firstOccurrence({ cadence: 'weekly', interval: 1, startDate: start }), start);
+});
+
+test('cron runs follow the definition\'s time zone', () => {
+  // 08:00 on the 1st in Kolkata is 02:30 UTC
+  const recurring = { cadence: 'cron', cron: '0 8 1 * *', timezone: 'Asia/Kolkata', startDate: new Date('2024-03-01T02:30:00Z') };
+  assert.deepEqual(firstOccurrence(recurring), new Date('2024-03-01T02:30:00Z'));
+  assert.deepEqual(nextOccurrence(recurring, recurring.startDate), new Date('2024-04-01T02:30:00Z'));
+});
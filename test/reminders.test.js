@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isTimeZone, nextSendTime } = require('../lib/reminders');
+
+const user = (start, end, timezone) => ({ notifications: { quietHours: { start, end }, timezone } });
+const at = text => new Date(`${text}Z`);
+
+test('isTimeZone accepts IANA names only', () => {
+  assert.ok(isTimeZone('Asia/Kolkata'));
+  assert.ok(isTimeZone('UTC'));
+  assert.ok(!isTimeZone('Mars/Olympus'));
+});
+
+test('quiet hours that cross midnight hold reminders until they end', () => {
+  const night = user('22:00', '07:00');
+  assert.deepEqual(nextSendTime(night, at('2024-03-01T23:30:00')), at('2024-03-02T07:00:00'));
+  assert.deepEqual(nextSendTime(night, at('2024-03-01T22:00:00')), at('2024-03-02T07:00:00'));
+  assert.deepEqual(nextSendTime(night, at('2024-03-02T03:00:00')), at('2024-03-02T07:00:00'));
+  assert.deepEqual(nextSendTime(night, at('2024-03-02T07:00:00')), at('2024-03-02T07:00:00'));
+  assert.deepEqual(nextSendTime(night, at('2024-03-02T12:00:00')), at('2024-03-02T12:00:00'));
+});
+
+test('quiet hours within a day', () => {
+  const lunch = user('13:00', '14:00');
+  assert.deepEqual(nextSendTime(lunch, at('2024-03-01T13:15:00')), at('2024-03-01T14:00:00'));
+  assert.deepEqual(nextSendTime(lunch, at('2024-03-01T23:00:00')), at('2024-03-01T23:00:00'));
+});
+
+test('quiet hours are read in the user\'s time zone', () => {
+  // 22:30 in Kolkata (UTC+5:30) waits until 07:00 there
+  const night = user('22:00', '07:00', 'Asia/Kolkata');
+  assert.deepEqual(nextSendTime(night, at('2024-03-01T17:00:00')), at('2024-03-02T01:30:00'));
+  assert.deepEqual(nextSendTime(night, at('2024-03-01T12:00:00')), at('2024-03-01T12:00:00'));
+});
+
+test('no quiet hours, or an empty window, sends right away', () => {
+  const now = at('2024-03-01T23:30:00');
+  assert.equal(nextSendTime({}, now), now);
+  assert.equal(nextSendTime(user('22:00', '22:00'), now), now);
+});